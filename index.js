@@ -3,14 +3,84 @@ const express = require("express");
 const app = express();
 const port = process.env.PORT || 5000;
 const cors = require("cors");
-const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
+const { MongoClient, ServerApiVersion, ObjectId, BSON } = require("mongodb");
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const nodemailer = require("nodemailer");
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const PDFDocument = require("pdfkit");
+const { initializeApp, cert } = require("firebase-admin/app");
+const { getAuth } = require("firebase-admin/auth");
+// STRIPE_API_HOST points the client at a local fake such as stripe-mock.
+// Replaceable so tests can inject a stubbed client.
+app.locals.stripe = require("stripe")(
+  process.env.STRIPE_SECRET_KEY,
+  process.env.STRIPE_API_HOST
+    ? {
+        host: process.env.STRIPE_API_HOST,
+        port: process.env.STRIPE_API_PORT || 12111,
+        protocol: process.env.STRIPE_API_PROTOCOL || "http",
+      }
+    : {}
+);
+
+// Firebase verifies the ID tokens exchanged at /jwt. With
+// FIREBASE_AUTH_EMULATOR_HOST set, the Auth emulator is used instead.
+initializeApp(
+  process.env.FIREBASE_SERVICE_ACCOUNT
+    ? { credential: cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)) }
+    : { projectId: process.env.FIREBASE_PROJECT_ID }
+);
+
+// Replaceable so tests can inject a verifier that works offline
+app.locals.verifyIdToken = (idToken) => getAuth().verifyIdToken(idToken);
+
+// SMTP_HOST sends mail through any server, such as a local SMTP sink in
+// development. Without it, mail goes through Gmail.
+app.locals.mailTransport = nodemailer.createTransport(
+  process.env.SMTP_HOST
+    ? {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        ...(process.env.EMAIL_USER && {
+          auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS,
+          },
+        }),
+      }
+    : {
+        host: "smtp.gmail.com",
+        port: 465,
+        secure: true,
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      }
+);
+
+// Failures of background work that must not fail the request, such as
+// mail, notifications and audit entries, are reported here. Replaceable
+// so tests can collect them.
+app.locals.logError = (message, error) =>
+  console.error(`${message}:`, error?.message ?? error);
+const logError = (message, error) => app.locals.logError(message, error);
+
+// Hops of trusted proxies in front of the app (Vercel and Render add
+// one), so req.ip is the client and not a spoofable X-Forwarded-For entry
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
 
 // Middlewares
 app.use(cors());
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw payload for Stripe webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 const uri = process.env.MONGODB_URI;
 
@@ -22,6 +92,9 @@ const client = new MongoClient(uri, {
   },
 });
 
+// Exposed so tests can close the connection when they finish
+app.locals.client = client;
+
 async function run() {
   try {
     // await client.connect();
@@ -36,6 +109,58 @@ async function run() {
     const wishCollections = client.db("usersDB").collection("wishLists");
     const paymentCollection = client.db("usersDB").collection("payments");
     const commentsCollection = client.db("usersDB").collection("comments");
+    const priceHistoryCollection = client
+      .db("usersDB")
+      .collection("priceHistory");
+    const reservationCollection = client
+      .db("usersDB")
+      .collection("reservations");
+    const refreshTokenCollection = client
+      .db("usersDB")
+      .collection("refreshTokens");
+    const marketCollections = client.db("usersDB").collection("markets");
+    const categoryCollections = client.db("usersDB").collection("categories");
+    const priceAlertCollections = client
+      .db("usersDB")
+      .collection("priceAlerts");
+    const alertEventCollections = client
+      .db("usersDB")
+      .collection("priceAlertEvents");
+    const mailOutboxCollection = client.db("usersDB").collection("mailOutbox");
+    const notificationCollections = client
+      .db("usersDB")
+      .collection("notifications");
+    const auditLogCollections = client.db("usersDB").collection("auditLogs");
+    const refundRequestCollections = client
+      .db("usersDB")
+      .collection("refundRequests");
+    const subOrderCollections = client.db("usersDB").collection("subOrders");
+    const couponCollections = client.db("usersDB").collection("coupons");
+    const adStatsCollection = client.db("usersDB").collection("adStats");
+    const eventCollections = client.db("usersDB").collection("events");
+    const streamTicketCollections = client
+      .db("usersDB")
+      .collection("streamTickets");
+    const adEventClientCollections = client
+      .db("usersDB")
+      .collection("adEventClients");
+
+    const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+    const REFRESH_TOKEN_TTL_DAYS =
+      parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+    // Minutes a checkout holds stock before the reservation expires
+    const RESERVATION_TTL_MINUTES =
+      parseInt(process.env.RESERVATION_TTL_MINUTES) || 15;
+    const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+    // Share of each sale the platform keeps; vendors are paid the rest
+    const PLATFORM_COMMISSION_RATE = process.env.PLATFORM_COMMISSION_RATE
+      ? parseFloat(process.env.PLATFORM_COMMISSION_RATE)
+      : 0.1;
+
+    // Delivery attempts before an outbox message is marked failed
+    const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
 
     // =============================CUSTOM MIDDLEWARES=============================
     const verifyToken = async (req, res, next) => {
@@ -50,23 +175,53 @@ async function run() {
       const token = authHeader.split(" ")[1].trim();
 
       jwt.verify(token, process.env.JWT_SECRET_KEY, (err, decoded) => {
-        if (err) {
+        // Only access tokens from issueTokens are accepted. Tokens signed
+        // before them carry no type or expiry and would never lapse.
+        if (err || decoded.type !== "access" || !decoded.exp) {
           return res.status(403).send({ message: "Forbidden: Invalid token" });
         }
+        // Handlers take the caller's identity from here, never from the
+        // query string or body
         req.decoded = decoded;
         next();
       });
     };
 
-    const verifyTokenEmail = async (req, res, next) => {
-      if (req?.query?.email !== req.decoded?.email) {
-        return res
-          .status(403)
-          .json({ message: "Forbidden: Email does not match token" });
+    // Scheduled jobs authenticate with CRON_SECRET instead of a user token
+    const verifyCron = (req, res, next) => {
+      if (
+        !process.env.CRON_SECRET ||
+        req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`
+      ) {
+        return res.status(401).json({ message: "Unauthorized" });
       }
       next();
     };
 
+    // EventSource can't send headers, so event streams take a single-use
+    // ?ticket= from POST /events/ticket. An access token in the URL would
+    // end up in access logs.
+    const verifyStreamTicket = async (req, res, next) => {
+      if (!req.query.ticket) return verifyToken(req, res, next);
+
+      try {
+        const ticket = await streamTicketCollections.findOneAndDelete({
+          ticketHash: hashToken(String(req.query.ticket)),
+          expiresAt: { $gt: new Date() },
+        });
+
+        if (!ticket) {
+          return res.status(403).send({ message: "Forbidden: Invalid ticket" });
+        }
+
+        // The stream lasts as long as the access token behind the ticket
+        req.decoded = { email: ticket.email, exp: ticket.tokenExpiresAt };
+        next();
+      } catch (error) {
+        res.status(500).json({ message: "Server error" });
+      }
+    };
+
     const verifyRole = (...expectedRoles) => {
       return async (req, res, next) => {
         try {
@@ -79,7 +234,7 @@ async function run() {
 
           const user = await usersCollection.findOne(
             { email },
-            { projection: { role: 1 } }
+            { projection: { role: 1, email: 1 } }
           );
 
           if (!expectedRoles.includes(user?.role)) {
@@ -88,6 +243,7 @@ async function run() {
               .json({ message: `Forbidden: ${expectedRoles.join(", ")} only` });
           }
 
+          req.user = user;
           next();
         } catch (error) {
           res.status(500).json({ message: "Server error" });
@@ -95,335 +251,6048 @@ async function run() {
       };
     };
 
-    // =============================GET API=============================
-
-    // GET all users
-    app.get(
-      "/users",
-      verifyToken,
-      verifyTokenEmail,
-      verifyRole("admin"),
-      async (req, res) => {
+    // Resource-level authorization. Loads the document named by :id into
+    // req.resource and lets only its owner or an admin through. Must run
+    // after verifyRole, which loads the caller's role.
+    const verifyOwnership = (collection, ownerField, protectedFields = []) => {
+      return async (req, res, next) => {
         try {
-          const search = req.query.search || "";
-          const query = search
-            ? { email: { $regex: search, $options: "i" } }
-            : {};
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: "Invalid id" });
+          }
 
-          const users = await usersCollection.find(query).toArray();
-          res.send(users);
-        } catch (err) {
-          res.status(500).send({ message: "Failed to fetch users." });
-        }
-      }
-    );
+          const resource = await collection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
 
-    // GET user role
-    app.get(
-      "/usersRole",
-      verifyToken,
-      verifyTokenEmail,
-      verifyRole("admin", "vendor", "user"),
-      async (req, res) => {
-        const email = req.query.email;
+          if (!resource) {
+            return res.status(404).json({ message: "Not found" });
+          }
 
-        if (!email) {
-          return res.status(400).json({ error: "Email parameter is required" });
-        }
+          const isAdmin = req.user?.role === "admin";
 
-        try {
-          const user = await usersCollection.findOne(
-            { email },
-            {
-              projection: {
-                role: 1,
-                _id: 0,
-              },
+          if (!isAdmin && resource[ownerField] !== req.decoded.email) {
+            return res
+              .status(403)
+              .json({ message: "Forbidden: you do not own this resource" });
+          }
+
+          if (!isAdmin && req.body) {
+            // Echoing a protected field back unchanged is allowed
+            const changed = protectedFields.filter(
+              (field) =>
+                field in req.body &&
+                JSON.stringify(req.body[field]) !==
+                  JSON.stringify(resource[field])
+            );
+
+            if (changed.length > 0) {
+              const fields = changed.join(", ");
+              return res.status(403).json({
+                message: `Forbidden: only admins can change ${fields}`,
+              });
             }
-          );
 
-          if (!user) {
-            return res.status(404).json({ error: "User not found" });
+            for (const field of protectedFields) delete req.body[field];
           }
 
-          res.send(user);
-        } catch (err) {
-          res.status(500).json({ error: "Server error" });
+          req.resource = resource;
+          next();
+        } catch (error) {
+          res.status(500).json({ message: "Server error" });
         }
-      }
-    );
+      };
+    };
 
-    // GET all products for admin and user
-    app.get(
-      "/all-products",
-      verifyToken,
-      verifyTokenEmail,
-      verifyRole("admin", "user"),
-      async (req, res) => {
-        try {
-          const products = await productCollections
-            .find({})
-            .sort({ createdAt: -1 })
-            .toArray();
-          res.send(products);
-        } catch (err) {
-          res.status(500).json({ error: "Failed to fetch products" });
-        }
-      }
-    );
+    // Fields that only admins may write
+    const PRODUCT_PROTECTED_FIELDS = [
+      "status",
+      "vendorEmail",
+      "rejectionReason",
+      "rejectionFeedback",
+    ];
+    const AD_PROTECTED_FIELDS = [
+      "status",
+      "adCreatedBy",
+      "rejectionReason",
+      "rejectionFeedback",
+      "weight",
+    ];
+    const COMMENT_PROTECTED_FIELDS = ["userEmail", "productId"];
+
+    // =============================VALIDATION=============================
+    // Request bodies are checked against these schemas before they reach
+    // MongoDB. Values are coerced to the declared type and unknown fields
+    // are dropped. The same schemas are installed as collection validators.
+
+    const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    const PRODUCT_SCHEMA = {
+      itemName: { type: "string", required: true, maxLength: 100 },
+      itemDescription: { type: "string", maxLength: 2000 },
+      // Either marketId or marketName is required, see resolveProductRefs
+      marketId: { type: "objectId" },
+      marketName: { type: "string", maxLength: 120 },
+      marketDescription: { type: "string", maxLength: 2000 },
+      pricePerUnit: { type: "number", required: true, min: 0 },
+      date: { type: "isoDate", required: true },
+      image: { type: "string", maxLength: 2048 },
+      vendorName: { type: "string", maxLength: 120 },
+      categoryId: { type: "objectId" },
+      category: { type: "string", maxLength: 60 },
+      prices: {
+        type: "array",
+        maxItems: 366,
+        items: {
+          type: "object",
+          properties: {
+            date: { type: "isoDate", required: true },
+            price: { type: "number", required: true, min: 0 },
+          },
+        },
+      },
+      stock: { type: "number", min: 0 },
+      unit: { type: "string", maxLength: 20 },
+      lowStockThreshold: { type: "number", min: 0 },
+    };
 
-    // GET all products
-    app.get("/getAll-products", async (req, res) => {
-      try {
-        const products = await productCollections
-          .find({ status: "approved" })
-          .sort({ createdAt: -1 })
-          .toArray();
-        res.send(products);
-      } catch (err) {
-        res.status(500).json({ error: "Failed to fetch products" });
-      }
-    });
+    // Admin-only fields; verifyOwnership removes them for vendors
+    const PRODUCT_UPDATE_SCHEMA = {
+      ...PRODUCT_SCHEMA,
+      status: { type: "string", enum: ["pending", "approved", "rejected"] },
+      vendorEmail: { type: "string", maxLength: 254 },
+      rejectionReason: { type: "string", maxLength: 500 },
+      rejectionFeedback: { type: "string", maxLength: 2000 },
+    };
 
-    // GET all products by vendor
-    app.get(
-      "/my-products",
-      verifyToken,
-      verifyTokenEmail,
-      verifyRole("vendor"),
-      async (req, res) => {
-        const email = req.query.email;
-        const query = { vendorEmail: email };
-        try {
-          const products = await productCollections
-            .find(query)
-            .sort({ createdAt: -1 })
-            .toArray();
-          res.send(products);
-        } catch (err) {
-          res.status(500).json({ error: "Failed to fetch products" });
-        }
-      }
-    );
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    const MARKET_SCHEMA = {
+      name: { type: "string", required: true, maxLength: 120 },
+      address: { type: "string", maxLength: 500 },
+      description: { type: "string", maxLength: 2000 },
+      coordinates: {
+        type: "object",
+        properties: {
+          lat: { type: "number", required: true, min: -90, max: 90 },
+          lng: { type: "number", required: true, min: -180, max: 180 },
+        },
+      },
+      openingHours: {
+        type: "array",
+        maxItems: 7,
+        items: {
+          type: "object",
+          properties: {
+            day: {
+              type: "string",
+              required: true,
+              enum: ["mon", "tue", "wed", "thu", "fri", "sat", "sun"],
+            },
+            open: {
+              type: "string",
+              required: true,
+              pattern: TIME_PATTERN,
+              patternMessage: "must be HH:MM",
+            },
+            close: {
+              type: "string",
+              required: true,
+              pattern: TIME_PATTERN,
+              patternMessage: "must be HH:MM",
+            },
+          },
+        },
+      },
+    };
 
-    // GET all approved products
-    app.get("/approved-products", async (req, res) => {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 9;
-      const sort = req.query.sort || "newest";
-      const date = req.query.date;
+    const CATEGORY_SCHEMA = {
+      name: { type: "string", required: true, maxLength: 60 },
+      description: { type: "string", maxLength: 500 },
+    };
 
-      const skip = (page - 1) * limit;
+    // Campaign fields are optional: an ad without dates runs from approval
+    // until it is removed, and one without a placement is a homepage banner
+    const AD_SCHEMA = {
+      title: { type: "string", required: true, maxLength: 120 },
+      description: { type: "string", required: true, maxLength: 1000 },
+      image: { type: "string", required: true, maxLength: 2048 },
+      productId: { type: "objectId" },
+      startsAt: { type: "date" },
+      endsAt: { type: "date" },
+      placement: { type: "string", enum: ["homepage_banner", "category_page"] },
+      category: { type: "string", maxLength: 60 },
+      weight: { type: "integer", min: 1, max: 100 },
+    };
 
-      const query = { status: "approved" };
+    const VENDOR_APPLICATION_SCHEMA = {
+      name: { type: "string", required: true, maxLength: 120 },
+      shopName: { type: "string", required: true, maxLength: 120 },
+      photo: { type: "string", maxLength: 2048 },
+      phone: { type: "string", maxLength: 30 },
+      marketName: { type: "string", maxLength: 120 },
+      address: { type: "string", maxLength: 500 },
+      description: { type: "string", maxLength: 2000 },
+    };
 
-      if (date) {
-        query.date = { $regex: `^${date}` };
-      }
+    const COMMENT_SCHEMA = {
+      productId: { type: "objectId", required: true },
+      userName: { type: "string", required: true, maxLength: 120 },
+      rating: { type: "integer", required: true, min: 1, max: 5 },
+      comment: { type: "string", required: true, maxLength: 1000 },
+      date: { type: "date", required: true },
+    };
 
-      let sortOptions = { createdAt: -1 };
-      if (sort === "asc") {
-        sortOptions = { pricePerUnit: 1 };
-      } else if (sort === "desc") {
-        sortOptions = { pricePerUnit: -1 };
-      }
+    const CART_ITEM_SCHEMA = {
+      productId: { type: "objectId", required: true },
+      itemName: { type: "string", maxLength: 100 },
+      pricePerUnit: { type: "number", min: 0 },
+      image: { type: "string", maxLength: 2048 },
+    };
 
-      try {
-        const products = await productCollections
-          .find(query)
-          .skip(skip)
-          .limit(limit)
-          .sort(sortOptions)
-          .toArray();
+    const WISHLIST_SCHEMA = {
+      productId: { type: "objectId", required: true },
+    };
 
-        const total = await productCollections.countDocuments(query);
+    const CHECKOUT_SCHEMA = {
+      buyerName: { type: "string", maxLength: 120 },
+      couponCode: { type: "string", maxLength: 32 },
+    };
 
-        res.json({
-          products,
-          totalPages: Math.ceil(total / limit),
-        });
-      } catch (err) {
-        res.status(500).json({ error: "Failed to fetch products" });
-      }
-    });
+    const COUPON_PREVIEW_SCHEMA = {
+      couponCode: { type: "string", required: true, maxLength: 32 },
+    };
 
-    // GET single product
-    app.get(
-      "/single-product/:id",
-      verifyToken,
-      verifyRole("vendor", "admin", "user"),
-      async (req, res) => {
-        try {
-          const id = req.params.id;
-          const filter = { _id: new ObjectId(id) };
-          const products = await productCollections.findOne(filter);
-          res.send(products);
-        } catch (err) {
-          res.status(500).json({ error: "Failed to fetch the product" });
-        }
-      }
-    );
+    // A coupon without productIds, vendorEmails or marketNames applies to
+    // every line of an order
+    const COUPON_SCHEMA = {
+      code: {
+        type: "string",
+        required: true,
+        maxLength: 32,
+        pattern: /^[A-Za-z0-9_-]+$/,
+        patternMessage: "may only contain letters, digits, - and _",
+      },
+      type: { type: "string", required: true, enum: ["percent", "fixed"] },
+      value: { type: "number", required: true, min: 0 },
+      minOrder: { type: "number", min: 0 },
+      expiresAt: { type: "date" },
+      maxUses: { type: "integer", min: 1 },
+      maxUsesPerUser: { type: "integer", min: 1 },
+      productIds: { type: "array", maxItems: 100, items: { type: "objectId" } },
+      vendorEmails: {
+        type: "array",
+        maxItems: 50,
+        items: { type: "string", maxLength: 254 },
+      },
+      marketNames: {
+        type: "array",
+        maxItems: 50,
+        items: { type: "string", maxLength: 120 },
+      },
+      status: { type: "string", enum: ["active", "disabled"] },
+    };
 
-    // GET advertisements by vendor
-    app.get(
-      "/my-advertisements",
-      verifyToken,
-      verifyRole("vendor", "admin"),
-      async (req, res) => {
-        const email = req.query.email;
+    // An alert watches one product, or an item at one market (or any
+    // market when marketName is left out)
+    const PRICE_ALERT_SCHEMA = {
+      productId: { type: "objectId" },
+      itemName: { type: "string", maxLength: 100 },
+      marketName: { type: "string", maxLength: 120 },
+      type: { type: "string", required: true, enum: ["below", "change_pct"] },
+      threshold: { type: "number", required: true, min: 0 },
+      delivery: { type: "string", enum: ["instant", "digest"] },
+    };
 
-        let query = {};
+    const CONTACT_SCHEMA = {
+      name: { type: "string", required: true, maxLength: 120 },
+      email: {
+        type: "string",
+        required: true,
+        maxLength: 254,
+        pattern: /^[^\s@]+@[^\s@]+$/,
+        patternMessage: "must be an email address",
+      },
+      message: { type: "string", required: true, maxLength: 5000 },
+    };
 
-        if (email) {
-          query = { adCreatedBy: email };
-        }
+    const PRICE_ALERT_UPDATE_SCHEMA = {
+      status: { type: "string", enum: ["active", "paused"] },
+      threshold: { type: "number", min: 0 },
+      delivery: { type: "string", enum: ["instant", "digest"] },
+    };
 
-        try {
-          const advertisements = await adCollections
-            .find(query)
-            .sort({ createdAt: -1 })
-            .toArray();
-          res.send(advertisements);
-        } catch (err) {
-          res.status(500).json({ error: "Failed to fetch advertisements" });
-        }
-      }
-    );
+    // Lines are positions in the order's items; no lines means everything
+    // not yet refunded
+    const REFUND_REQUEST_SCHEMA = {
+      reason: { type: "string", required: true, maxLength: 1000 },
+      lines: {
+        type: "array",
+        maxItems: 100,
+        items: {
+          type: "object",
+          properties: {
+            index: { type: "integer", required: true, min: 0 },
+            quantity: { type: "integer", min: 1 },
+          },
+        },
+      },
+    };
 
-    // Get Cart Products
-    app.get("/get-cart", verifyToken, verifyTokenEmail, async (req, res) => {
-      try {
-        const { email } = req.query;
+    const REFUND_DECISION_SCHEMA = {
+      status: {
+        type: "string",
+        required: true,
+        enum: ["approved", "rejected"],
+      },
+      note: { type: "string", maxLength: 1000 },
+    };
 
-        if (!email) {
-          return res.status(400).json({ message: "Email is required" });
-        }
+    const LINE_FULFILLMENT_SCHEMA = {
+      status: {
+        type: "string",
+        required: true,
+        enum: ["processing", "ready_for_pickup", "shipped", "delivered"],
+      },
+      note: { type: "string", maxLength: 500 },
+    };
 
-        // Fetch cart items for the user
-        const cartItems = await cartCollections
-          .find({ buyerEmail: email })
-          .toArray();
+    const PAYMENT_INTENT_SCHEMA = {
+      productId: { type: "objectId", required: true },
+      quantity: { type: "integer", min: 1 },
+      buyerName: { type: "string", maxLength: 120 },
+      couponCode: { type: "string", maxLength: 32 },
+    };
 
-        res.status(200).json(cartItems);
-      } catch (error) {
-        res.status(500).json({ message: "Internal Server Error" });
-      }
-    });
+    const PAYMENT_SCHEMA = {
+      paymentIntentId: { type: "string", required: true, maxLength: 255 },
+      buyerName: { type: "string", maxLength: 120 },
+      buyerAddress: { type: "string", maxLength: 500 },
+    };
 
-    // Wishlist get API
-    app.get(
-      "/get-wishlist",
-      verifyToken,
-      verifyTokenEmail,
-      verifyRole("user"),
-      async (req, res) => {
-        try {
-          const { email } = req.query;
+    const PROFILE_SCHEMA = {
+      name: { type: "string", maxLength: 120 },
+      photo: { type: "string", maxLength: 2048 },
+    };
 
-          if (!email) {
-            return res.status(400).json({ message: "Email is required." });
+    // Coerce one value to its spec. Returns { value } or { error }.
+    const coerceField = (spec, input, path, partial) => {
+      let value = input;
+
+      switch (spec.type) {
+        case "string":
+          if (typeof value === "number") value = String(value);
+          if (typeof value !== "string") return { error: "must be a string" };
+          value = value.trim();
+          if (spec.required && !partial && value === "") {
+            return { error: "is required" };
+          }
+          if (spec.maxLength && value.length > spec.maxLength) {
+            return { error: `must be at most ${spec.maxLength} characters` };
+          }
+          if (spec.enum && !spec.enum.includes(value)) {
+            return { error: `must be one of ${spec.enum.join(", ")}` };
+          }
+          if (spec.pattern && !spec.pattern.test(value)) {
+            return { error: spec.patternMessage || "has an invalid format" };
           }
+          break;
 
-          // Get all wishlist items for the user
-          const wishlistItems = await wishCollections.find({ email }).toArray();
+        case "number":
+        case "integer":
+          if (typeof value === "string" && value.trim() !== "") {
+            value = Number(value);
+          }
+          if (typeof value !== "number" || !isFinite(value)) {
+            return {
+              error:
+                spec.type === "integer"
+                  ? "must be a whole number"
+                  : "must be a number",
+            };
+          }
+          if (spec.type === "integer" && !Number.isInteger(value)) {
+            return { error: "must be a whole number" };
+          }
+          if (spec.min !== undefined && value < spec.min) {
+            return { error: `must be at least ${spec.min}` };
+          }
+          if (spec.max !== undefined && value > spec.max) {
+            return { error: `must be at most ${spec.max}` };
+          }
+          break;
 
-          // Extract all product IDs
-          const productIds = wishlistItems.map(
-            (item) => new ObjectId(item.productId)
-          );
+        case "boolean":
+          if (value === "true" || value === "false") value = value === "true";
+          if (typeof value !== "boolean") return { error: "must be a boolean" };
+          break;
 
-          // Find all products that match those IDs
-          const products = await productCollections
-            .find({ _id: { $in: productIds } })
-            .toArray();
-          res.status(200).json(products);
-        } catch (error) {
-          res.status(500).json({ message: "Server error." });
+        case "date":
+        case "isoDate": {
+          if (typeof value !== "string" && typeof value !== "number") {
+            return { error: "must be an ISO date" };
+          }
+          const parsed = new Date(value);
+          if (isNaN(parsed.getTime())) return { error: "must be an ISO date" };
+          value =
+            spec.type === "date" ? parsed : parsed.toISOString().slice(0, 10);
+          break;
         }
-      }
+
+        case "objectId":
+          if (typeof value !== "string" || !ObjectId.isValid(value)) {
+            return { error: "must be a valid id" };
+          }
+          break;
+
+        case "array": {
+          if (!Array.isArray(value)) return { error: "must be an array" };
+          if (spec.maxItems && value.length > spec.maxItems) {
+            return { error: `must have at most ${spec.maxItems} items` };
+          }
+          const errors = [];
+          value = value.map((item, index) => {
+            const result = coerceField(
+              spec.items,
+              item,
+              `${path}.${index}`,
+              false
+            );
+            if (result.errors) errors.push(...result.errors);
+            else if (result.error) {
+              errors.push({ field: `${path}.${index}`, message: result.error });
+            }
+            return result.value;
+          });
+          if (errors.length > 0) return { errors };
+          break;
+        }
+
+        case "object": {
+          if (!value || typeof value !== "object" || Array.isArray(value)) {
+            return { error: "must be an object" };
+          }
+          const result = validate(spec.properties, value, { partial, path });
+          if (result.errors.length > 0) return { errors: result.errors };
+          value = result.value;
+          break;
+        }
+
+        default:
+          break;
+      }
+
+      return { value };
+    };
+
+    // Validate an object against a schema. With partial, required fields
+    // may be left out (for updates). Unknown fields never make it through.
+    const validate = (schema, input, { partial = false, path = "" } = {}) => {
+      const value = {};
+      const errors = [];
+      const source = input && typeof input === "object" ? input : {};
+
+      for (const [name, spec] of Object.entries(schema)) {
+        const field = path ? `${path}.${name}` : name;
+        const raw = source[name];
+
+        if (raw === undefined || raw === null || raw === "") {
+          if (spec.required && !partial) {
+            errors.push({ field, message: "is required" });
+          }
+          continue;
+        }
+
+        const result = coerceField(spec, raw, field, partial);
+        if (result.errors) errors.push(...result.errors);
+        else if (result.error) errors.push({ field, message: result.error });
+        else value[name] = result.value;
+      }
+
+      return { value, errors };
+    };
+
+    // Replace req.body with its validated copy, or answer with every
+    // failing field in one 400 response.
+    const validateBody = (schema, options = {}) => {
+      return (req, res, next) => {
+        const { value, errors } = validate(schema, req.body, options);
+
+        if (errors.length > 0) {
+          return res
+            .status(400)
+            .json({ error: "Validation failed", details: errors });
+        }
+
+        req.body = value;
+        next();
+      };
+    };
+
+    // Translate a schema into a MongoDB $jsonSchema validator
+    const toJsonSchema = (schema, { partial = false } = {}) => {
+      const properties = {};
+      const required = [];
+
+      for (const [name, spec] of Object.entries(schema)) {
+        if (spec.required && !partial) required.push(name);
+
+        switch (spec.type) {
+          case "string":
+            properties[name] = { bsonType: "string" };
+            if (spec.maxLength) properties[name].maxLength = spec.maxLength;
+            if (spec.enum) properties[name].enum = spec.enum;
+            if (spec.pattern) properties[name].pattern = spec.pattern.source;
+            break;
+          case "number":
+          case "integer":
+            properties[name] = {
+              bsonType:
+                spec.type === "integer"
+                  ? ["int", "long"]
+                  : ["int", "long", "double", "decimal"],
+            };
+            if (spec.min !== undefined) properties[name].minimum = spec.min;
+            if (spec.max !== undefined) properties[name].maximum = spec.max;
+            break;
+          case "boolean":
+            properties[name] = { bsonType: "bool" };
+            break;
+          case "date":
+            properties[name] = { bsonType: "date" };
+            break;
+          case "isoDate":
+            properties[name] = {
+              bsonType: "string",
+              pattern: ISO_DATE_PATTERN.source,
+            };
+            break;
+          case "objectId":
+            properties[name] = { bsonType: ["string", "objectId"] };
+            break;
+          case "array":
+            properties[name] = {
+              bsonType: "array",
+              items: toJsonSchema({ item: spec.items }).properties.item,
+            };
+            if (spec.maxItems) properties[name].maxItems = spec.maxItems;
+            break;
+          case "object":
+            properties[name] = toJsonSchema(spec.properties, { partial });
+            break;
+          default:
+            break;
+        }
+      }
+
+      return {
+        bsonType: "object",
+        ...(required.length > 0 && { required }),
+        properties,
+      };
+    };
+
+    // =============================HELPERS=============================
+
+    // Parse a date input, falling back when it is missing or invalid
+    const toDate = (value, fallback = new Date()) => {
+      if (!value) return fallback;
+      const parsed = new Date(value);
+      return isNaN(parsed.getTime()) ? fallback : parsed;
+    };
+
+    const roundMoney = (value) => Math.round(value * 100) / 100;
+
+    const escapeRegex = (value) =>
+      String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+    const slugify = (name) =>
+      String(name)
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+
+    // Singularize one word of an item name: tomatoes -> tomato,
+    // cherries -> cherry, peaches -> peach, onions -> onion
+    const singularize = (word) => {
+      if (word.length <= 3) return word;
+      if (word.endsWith("ies")) return word.slice(0, -3) + "y";
+      if (word.endsWith("oes")) return word.slice(0, -2);
+      if (/(ch|sh|ss|x)es$/.test(word)) return word.slice(0, -2);
+      // Words ending in "ss" or "us" are not plurals: grass, asparagus,
+      // citrus
+      if (/[^su]s$/.test(word)) return word.slice(0, -1);
+      return word;
+    };
+
+    // Key grouping the same produce across vendors ("Tomatoes " and
+    // "tomato" both become "tomato")
+    const normalizeItemKey = (name) =>
+      String(name)
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .map(singularize)
+        .join("-");
+
+    // Markets take { lat, lng } and are stored as a GeoJSON point
+    const toMarketDoc = ({ coordinates, ...fields }) => ({
+      ...fields,
+      ...(fields.name && { slug: slugify(fields.name) }),
+      ...(coordinates && {
+        location: {
+          type: "Point",
+          coordinates: [coordinates.lng, coordinates.lat],
+        },
+      }),
+    });
+
+    // Link a product to its market and category records. Ids are preferred;
+    // names from older clients are matched when a record exists. Returns
+    // null or a list of field errors.
+    const resolveProductRefs = async (data, { partial = false } = {}) => {
+      if (data.marketId) {
+        const market = await marketCollections.findOne({
+          _id: new ObjectId(data.marketId),
+          deleted: false,
+        });
+        if (!market) return [{ field: "marketId", message: "unknown market" }];
+        data.marketId = market._id;
+        data.marketName = market.name;
+      } else if (data.marketName) {
+        const market = await marketCollections.findOne({
+          slug: slugify(data.marketName),
+          deleted: false,
+        });
+        if (market) {
+          data.marketId = market._id;
+          data.marketName = market.name;
+        }
+      } else if (!partial) {
+        return [{ field: "marketId", message: "is required" }];
+      }
+
+      if (data.categoryId) {
+        const category = await categoryCollections.findOne({
+          _id: new ObjectId(data.categoryId),
+          deleted: false,
+        });
+        if (!category) {
+          return [{ field: "categoryId", message: "unknown category" }];
+        }
+        data.categoryId = category._id;
+        data.category = category.name;
+      } else if (data.category) {
+        const category = await categoryCollections.findOne({
+          slug: slugify(data.category),
+          deleted: false,
+        });
+        if (category) {
+          data.categoryId = category._id;
+          data.category = category.name;
+        }
+      }
+
+      return null;
+    };
+
+    // =============================GEO=============================
+
+    const METERS_PER_MILE = 1609.344;
+
+    // Parse near=lat,lng and radius= (miles, default 10). Returns null when
+    // near is absent and { error } when it is malformed.
+    const parseNear = ({ near, radius }) => {
+      if (!near) return null;
+
+      const [lat, lng] = String(near).split(",").map(Number);
+      if (
+        !isFinite(lat) ||
+        !isFinite(lng) ||
+        Math.abs(lat) > 90 ||
+        Math.abs(lng) > 180
+      ) {
+        return { error: "near must be lat,lng" };
+      }
+
+      const radiusMiles = radius === undefined ? 10 : Number(radius);
+      if (!isFinite(radiusMiles) || radiusMiles <= 0) {
+        return { error: "radius must be a positive number of miles" };
+      }
+
+      return { lat, lng, radiusMiles };
+    };
+
+    // Markets within the radius, nearest first, with distanceMiles
+    const findMarketsNear = ({ lat, lng, radiusMiles }) =>
+      marketCollections
+        .aggregate([
+          {
+            $geoNear: {
+              near: { type: "Point", coordinates: [lng, lat] },
+              distanceField: "distance",
+              maxDistance: radiusMiles * METERS_PER_MILE,
+              query: { deleted: false },
+              spherical: true,
+            },
+          },
+          {
+            $addFields: {
+              distanceMiles: {
+                $round: [{ $divide: ["$distance", METERS_PER_MILE] }, 2],
+              },
+            },
+          },
+          { $project: { distance: 0 } },
+        ])
+        .toArray();
+
+    // Pipeline stage copying each product's market distance onto it
+    const addMarketDistance = (markets) => ({
+      $addFields: {
+        distanceMiles: {
+          $arrayElemAt: [
+            { $literal: markets.map((market) => market.distanceMiles) },
+            {
+              $indexOfArray: [
+                { $literal: markets.map((market) => market._id) },
+                "$marketId",
+              ],
+            },
+          ],
+        },
+      },
+    });
+
+    // =============================TOKENS=============================
+
+    const hashToken = (token) =>
+      crypto.createHash("sha256").update(token).digest("hex");
+
+    // Issue a short-lived access token and a refresh token. Refresh tokens
+    // are stored hashed and grouped in a family, one per login session.
+    const issueTokens = async (email, family = crypto.randomUUID()) => {
+      const token = jwt.sign(
+        { email, type: "access" },
+        process.env.JWT_SECRET_KEY,
+        { expiresIn: ACCESS_TOKEN_TTL }
+      );
+      const refreshToken = crypto.randomBytes(48).toString("hex");
+
+      await refreshTokenCollection.insertOne({
+        tokenHash: hashToken(refreshToken),
+        email,
+        family,
+        expiresAt: new Date(
+          Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+        ),
+        revokedAt: null,
+        createdAt: new Date(),
+      });
+
+      return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+    };
+
+    const revokeRefreshTokens = (filter) =>
+      refreshTokenCollection.updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+
+    // Store a dated price observation so earlier prices are never lost
+    const recordPriceObservation = async (product, observedAt) => {
+      const price = parseFloat(product.pricePerUnit);
+      if (isNaN(price)) return;
+
+      await priceHistoryCollection.insertOne({
+        productId: product._id,
+        itemName: product.itemName,
+        itemKey: normalizeItemKey(product.itemName),
+        marketName: product.marketName,
+        vendorEmail: product.vendorEmail,
+        pricePerUnit: price,
+        date: toDate(observedAt),
+        recordedAt: new Date(),
+      });
+    };
+
+    // Order state machine: allowed previous states for every status, as a
+    // status or a filter on the order. Paid orders are undone through a
+    // Stripe refund, not a cancel. A payment that lands after its hold
+    // expired still counts, so those cancelled orders can be paid.
+    const ORDER_TRANSITIONS = {
+      paid: [
+        "pending",
+        "failed",
+        { status: "cancelled", cancelReason: "reservation_expired" },
+      ],
+      failed: ["pending"],
+      cancelled: ["pending", "failed"],
+      fulfilled: ["paid", "partially_refunded"],
+      refunded: ["paid", "fulfilled", "partially_refunded"],
+      partially_refunded: ["paid", "fulfilled"],
+    };
+
+    // Move an order to a new status and return the updated order, or null
+    // when the order is not in a state it can move from. Replayed events
+    // therefore match nothing and cannot apply side effects twice.
+    const transitionOrder = async (filter, status, fields = {}) => {
+      const now = new Date();
+      const from = ORDER_TRANSITIONS[status].map((previous) =>
+        typeof previous === "string" ? { status: previous } : previous
+      );
+      const order = await paymentCollection.findOneAndUpdate(
+        { ...filter, $or: from },
+        {
+          $set: { ...fields, status, updatedAt: now },
+          $inc: { version: 1 },
+          $push: { statusHistory: { status, at: now } },
+        },
+        { returnDocument: "after" }
+      );
+      if (order) await syncSubOrders(order);
+      return order;
+    };
+
+    // =============================INVENTORY=============================
+    // Products without a stock field are not tracked and never run out.
+
+    const availableStock = (product) =>
+      typeof product?.stock === "number"
+        ? product.stock - (product.reservedStock || 0)
+        : Infinity;
+
+    // Release active reservations, handing the units back to the product.
+    // Each reservation is claimed first so it is only released once.
+    const releaseReservations = async (filter) => {
+      const reservations = await reservationCollection
+        .find({ ...filter, status: "active" })
+        .toArray();
+
+      for (const reservation of reservations) {
+        const claimed = await reservationCollection.findOneAndUpdate(
+          { _id: reservation._id, status: "active" },
+          { $set: { status: "released", releasedAt: new Date() } }
+        );
+        if (!claimed) continue;
+
+        await productCollections.updateOne(
+          { _id: reservation.productId },
+          { $inc: { reservedStock: -reservation.quantity } }
+        );
+      }
+
+      return reservations;
+    };
+
+    // Hold stock for every tracked line of an order. Returns null on
+    // success or { status, error } after undoing any partial hold.
+    const reserveStock = async (orderId, items) => {
+      const expiresAt = new Date(
+        Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000
+      );
+
+      for (const item of items) {
+        const productId = new ObjectId(item.productId);
+
+        const result = await productCollections.updateOne(
+          {
+            _id: productId,
+            stock: { $type: "number" },
+            $expr: {
+              $gte: [
+                {
+                  $subtract: ["$stock", { $ifNull: ["$reservedStock", 0] }],
+                },
+                item.quantity,
+              ],
+            },
+          },
+          { $inc: { reservedStock: item.quantity } }
+        );
+
+        if (result.modifiedCount === 0) {
+          const product = await productCollections.findOne({ _id: productId });
+
+          // Untracked products need no reservation
+          if (availableStock(product) === Infinity) continue;
+
+          await releaseReservations({ orderId });
+          return {
+            status: 409,
+            error: `Only ${Math.max(availableStock(product), 0)} ${
+              product.unit || "units"
+            } of ${product.itemName} left.`,
+          };
+        }
+
+        await reservationCollection.insertOne({
+          orderId,
+          productId,
+          quantity: item.quantity,
+          status: "active",
+          expiresAt,
+          createdAt: new Date(),
+        });
+      }
+
+      return null;
+    };
+
+    // Turn an order's reservations into a real stock decrement
+    const commitReservations = async (order) => {
+      for (const item of orderItems(order)) {
+        const productId = new ObjectId(item.productId);
+
+        const reservation = await reservationCollection.findOneAndUpdate(
+          { orderId: order._id, productId, status: "active" },
+          { $set: { status: "committed", committedAt: new Date() } }
+        );
+
+        if (reservation) {
+          await productCollections.updateOne(
+            { _id: productId },
+            {
+              $inc: {
+                stock: -reservation.quantity,
+                reservedStock: -reservation.quantity,
+              },
+            }
+          );
+        } else if (
+          await reservationCollection.findOneAndUpdate(
+            { orderId: order._id, productId, status: "released" },
+            { $set: { status: "committed", committedAt: new Date() } }
+          )
+        ) {
+          // Paid after the hold expired: take what is left, never below zero
+          await productCollections.updateOne({ _id: productId }, [
+            {
+              $set: {
+                stock: { $max: [0, { $subtract: ["$stock", item.quantity] }] },
+              },
+            },
+          ]);
+        }
+      }
+    };
+
+    // Give back stock held by checkouts that were never paid. Returns the
+    // number of cancelled orders and the intents Stripe would not cancel;
+    // those stay payable and are recorded on the order.
+    const releaseExpiredReservations = async () => {
+      const expired = await releaseReservations({
+        expiresAt: { $lte: new Date() },
+      });
+
+      const orderIds = [...new Set(expired.map((r) => r.orderId.toString()))];
+      let cancelled = 0;
+      const failures = [];
+
+      for (const orderId of orderIds) {
+        const order = await transitionOrder(
+          { _id: new ObjectId(orderId) },
+          "cancelled",
+          { cancelledAt: new Date(), cancelReason: "reservation_expired" }
+        );
+        if (!order) continue;
+        cancelled++;
+
+        if (order.paymentIntentId) {
+          try {
+            await app.locals.stripe.paymentIntents.cancel(
+              order.paymentIntentId
+            );
+          } catch (error) {
+            await paymentCollection.updateOne(
+              { _id: order._id },
+              { $set: { paymentCancelError: error.message } }
+            );
+            failures.push({ orderId, error: error.message });
+          }
+        }
+        await onOrderCancelled(order);
+      }
+
+      return { cancelled, failures };
+    };
+
+    // Side effects of a confirmed payment
+    const onOrderPaid = async (order) => {
+      await commitReservations(order);
+      await queueMail(order.buyerEmail, "orderReceipt", { order });
+      await notifyOrder(
+        order,
+        "order_paid",
+        "Payment received",
+        `Your order totalling $${Number(order.amount).toFixed(2)} is confirmed.`
+      );
+
+      // Every vendor hears about their own lines of the order
+      const lines = orderItems(order);
+      for (const vendorEmail of new Set(
+        lines.map((item) => item.vendorEmail)
+      )) {
+        const vendorLines = lines.filter(
+          (item) => item.vendorEmail === vendorEmail
+        );
+        const names = vendorLines.map(
+          (item) => `${item.itemName} x ${item.quantity}`
+        );
+        await notify(vendorEmail, "order_received", {
+          title: "New order",
+          message: `New order for ${names.join(", ")}.`,
+          data: { orderId: String(order._id) },
+        });
+        // Only the vendor's own lines go out on their stream
+        await publish(
+          "order",
+          {
+            orderId: String(order._id),
+            status: order.status,
+            paidAt: order.paidAt,
+            items: vendorLines,
+          },
+          { emails: [vendorEmail] }
+        );
+      }
+
+      if (order.source === "cart") {
+        await cartCollections.deleteMany({
+          buyerEmail: order.buyerEmail,
+          productId: { $in: order.items.map((item) => item.productId) },
+        });
+      }
+    };
+
+    // Orders written before the unified lifecycle kept lines in cartItems
+    const orderItems = (order) =>
+      Array.isArray(order.items)
+        ? order.items
+        : Array.isArray(order.cartItems)
+        ? order.cartItems
+        : [];
+
+    // What the buyer paid per unit of a line, after any coupon discount
+    const paidUnitPrice = (item) => {
+      const quantity = item.quantity || 1;
+      const price = parseFloat(item.price ?? item.pricePerUnit) || 0;
+      return (price * quantity - (item.discount || 0)) / quantity;
+    };
+
+    // Field holding the lines, for updates of a single line
+    const orderItemsField = (order) =>
+      Array.isArray(order.items) ? "items" : "cartItems";
+
+    const onOrderCancelled = async (order) => {
+      await releaseReservations({ orderId: order._id });
+      await releaseOrderCoupon(order);
+      await notifyOrder(
+        order,
+        "order_cancelled",
+        "Order cancelled",
+        order.cancelReason === "reservation_expired"
+          ? "Your order was cancelled because payment was not completed in time."
+          : "Your order was cancelled."
+      );
+    };
+
+    const markOrderPaid = async (paymentIntentId, paidAt) => {
+      const order = await transitionOrder({ paymentIntentId }, "paid", {
+        paidAt,
+      });
+      if (!order) return order;
+
+      // Paid after a failed attempt or an expired hold gave the use back
+      await reclaimOrderCoupon(order);
+      await onOrderPaid(order);
+      return order;
+    };
+
+    // Snapshot requested items with server-side prices. Returns either
+    // { items, totalAmount } or { status, error } for the response.
+    const buildOrderItems = async (requestedItems) => {
+      const items = [];
+      let totalAmount = 0;
+
+      for (const item of requestedItems) {
+        if (!ObjectId.isValid(item.productId)) {
+          return { status: 400, error: `Invalid product ${item.productId}.` };
+        }
+
+        const product = await productCollections.findOne({
+          _id: new ObjectId(item.productId),
+          status: "approved",
+        });
+
+        if (!product) {
+          return { status: 404, error: `Product ${item.productId} not found.` };
+        }
+
+        const price = parseFloat(product.pricePerUnit);
+        const quantity = parseInt(item.quantity || 1);
+
+        if (isNaN(price) || isNaN(quantity) || quantity < 1) {
+          return {
+            status: 400,
+            error: `Invalid price or quantity for product ${product.itemName}`,
+          };
+        }
+
+        totalAmount += price * quantity;
+
+        items.push({
+          productId: item.productId.toString(),
+          quantity,
+          price,
+          itemName: product.itemName,
+          itemKey: product.itemKey || normalizeItemKey(product.itemName),
+          image: product.image,
+          vendorEmail: product.vendorEmail,
+          vendorName: product.vendorName,
+          marketName: product.marketName,
+        });
+      }
+
+      return { items, totalAmount: roundMoney(totalAmount) };
+    };
+
+    // Same buyer, lines, prices and coupon: the same checkout
+    const checkoutKey = (source, items, discount) =>
+      hashToken(
+        JSON.stringify({
+          source,
+          items: items.map((item) => [
+            item.productId,
+            item.quantity,
+            item.price,
+            item.discount || 0,
+          ]),
+          coupon: discount?.code || null,
+        })
+      );
+
+    // Cancel a PaymentIntent nobody will pay. A failure is kept on the
+    // order, if there is one, like for expired holds.
+    const cancelPaymentIntent = async (paymentIntentId, orderId) => {
+      try {
+        await app.locals.stripe.paymentIntents.cancel(paymentIntentId);
+      } catch (error) {
+        logError("Failed to cancel payment", error);
+        if (orderId) {
+          await paymentCollection.updateOne(
+            { _id: orderId },
+            { $set: { paymentCancelError: error.message } }
+          );
+        }
+      }
+    };
+
+    // The pending order of an earlier attempt at the same checkout, with
+    // its client secret. One whose PaymentIntent was cancelled at Stripe,
+    // or cannot be loaded, is cancelled here and not reused.
+    const findOpenOrder = async (buyerEmail, key) => {
+      const order = await paymentCollection.findOne({
+        buyerEmail,
+        checkoutKey: key,
+        status: "pending",
+      });
+      if (!order) return null;
+
+      let paymentIntent = null;
+      if (order.paymentIntentId) {
+        try {
+          paymentIntent = await app.locals.stripe.paymentIntents.retrieve(
+            order.paymentIntentId
+          );
+        } catch (error) {
+          logError("Failed to load payment of an open order", error);
+        }
+      }
+      if (paymentIntent && paymentIntent.status !== "canceled") {
+        return { order, clientSecret: paymentIntent.client_secret };
+      }
+
+      const cancelled = await transitionOrder({ _id: order._id }, "cancelled", {
+        cancelledAt: new Date(),
+      });
+      if (!cancelled) return null;
+      if (order.paymentIntentId && !paymentIntent) {
+        await cancelPaymentIntent(order.paymentIntentId, order._id);
+      }
+      await onOrderCancelled(cancelled);
+      return null;
+    };
+
+    // Create a pending order with its PaymentIntent attached. Checking
+    // out the same cart again returns the open order instead of a second
+    // one.
+    const createOrder = async ({
+      buyerEmail,
+      buyerName,
+      items,
+      source,
+      couponCode,
+    }) => {
+      await releaseExpiredReservations();
+
+      const built = await buildOrderItems(items);
+      if (built.error) return built;
+
+      // The coupon spreads its discount over the lines it applies to
+      const applied = couponCode
+        ? await evaluateCoupon(couponCode, buyerEmail, built)
+        : { items: built.items, discount: null };
+      if (applied.error) return applied;
+
+      const { discount } = applied;
+      const total = roundMoney(built.totalAmount - (discount?.amount || 0));
+
+      const amount = Math.round(total * 100);
+      if (amount < 50) {
+        return { status: 400, error: "Order total must be at least $0.50." };
+      }
+
+      const key = checkoutKey(source, applied.items, discount);
+      const open = await findOpenOrder(buyerEmail, key);
+      if (open) return open;
+
+      const orderId = new ObjectId();
+
+      const shortage = await reserveStock(orderId, applied.items);
+      if (shortage) return shortage;
+
+      if (discount && !(await claimCoupon(discount.couponId))) {
+        await releaseReservations({ orderId });
+        return { status: 409, error: "Coupon has been used up." };
+      }
+
+      let paymentIntent;
+      try {
+        paymentIntent = await app.locals.stripe.paymentIntents.create({
+          amount,
+          currency: "usd",
+          payment_method_types: ["card"],
+          metadata: {
+            orderId: orderId.toString(),
+            buyerEmail,
+            buyerName,
+            productCount: built.items.length.toString(),
+            ...(discount && { couponCode: discount.code }),
+          },
+        });
+      } catch (error) {
+        await releaseReservations({ orderId });
+        if (discount) await releaseCoupon(discount.couponId);
+        throw error;
+      }
+
+      const now = new Date();
+      const order = {
+        _id: orderId,
+        buyerEmail,
+        buyerName,
+        items: applied.items,
+        subtotal: built.totalAmount,
+        ...(discount && { discount }),
+        amount: total,
+        currency: "usd",
+        source,
+        checkoutKey: key,
+        paymentIntentId: paymentIntent.id,
+        // Kept with the order so a later rate change does not apply to it
+        commissionRate: PLATFORM_COMMISSION_RATE,
+        status: "pending",
+        statusHistory: [{ status: "pending", at: now }],
+        // Bumped on every change so stale sub-order writes can be told apart
+        version: 1,
+        createdAt: now,
+      };
+
+      // A concurrent attempt at the same checkout may have stored its
+      // order first. Its order is returned, unless it was stale and has
+      // been cancelled, in which case this one is stored after all.
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await paymentCollection.insertOne(order);
+          break;
+        } catch (error) {
+          if (error.code !== 11000 || attempt >= 3) throw error;
+
+          const winner = await findOpenOrder(buyerEmail, key);
+          if (!winner) continue;
+
+          await cancelPaymentIntent(paymentIntent.id);
+          await releaseReservations({ orderId });
+          if (discount) await releaseCoupon(discount.couponId);
+          return winner;
+        }
+      }
+      await syncSubOrders(order);
+
+      return { order, clientSecret: paymentIntent.client_secret };
+    };
+
+    // =============================REFUNDS=============================
+    // Buyers request a refund of a paid order, in full or by line. Once an
+    // admin or the selling vendor approves, it is issued through Stripe.
+
+    const REFUNDABLE_STATUSES = ["paid", "fulfilled", "partially_refunded"];
+
+    // Resolve requested lines ({ index, quantity }) against what is still
+    // refundable; no lines means all of it. Returns { lines, amount } or
+    // { error }.
+    const refundLines = (order, requested = []) => {
+      const items = orderItems(order);
+      const wanted =
+        requested.length > 0
+          ? requested
+          : items.map((item, index) => ({ index }));
+
+      const lines = [];
+      for (const { index, quantity } of wanted) {
+        const item = items[index];
+        if (!item) return { error: `Order has no line ${index}` };
+        if (lines.some((line) => line.index === index)) {
+          return { error: `Line ${index} is listed twice` };
+        }
+
+        const remaining = (item.quantity || 1) - (item.refundedQuantity || 0);
+        if (remaining <= 0 && requested.length === 0) continue;
+        if (remaining <= 0) {
+          return { error: `Line ${index} is already refunded` };
+        }
+        if (quantity > remaining) {
+          return {
+            error: `Only ${remaining} of line ${index} can be refunded`,
+          };
+        }
+
+        lines.push({
+          index,
+          productId: String(item.productId),
+          itemName: item.itemName,
+          vendorEmail: item.vendorEmail,
+          quantity: quantity || remaining,
+          amount: roundMoney(paidUnitPrice(item) * (quantity || remaining)),
+        });
+      }
+
+      // Never more than what is left of the payment
+      const paidLeft = roundMoney(
+        Number(order.amount) - (order.amountRefunded || 0)
+      );
+      if (lines.length === 0 || paidLeft <= 0) {
+        return { error: "Nothing left to refund" };
+      }
+
+      const total = lines.reduce((sum, line) => sum + line.amount, 0);
+      return { lines, amount: Math.min(roundMoney(total), paidLeft) };
+    };
+
+    // Refunded units go back on sale for tracked products
+    const restockLines = async (lines) => {
+      for (const line of lines) {
+        if (!ObjectId.isValid(line.productId)) continue;
+        await productCollections.updateOne(
+          { _id: new ObjectId(line.productId), stock: { $type: "number" } },
+          { $inc: { stock: line.quantity } }
+        );
+      }
+    };
+
+    // Refund an approved request through Stripe, record it on the order
+    // and move the order to refunded or partially_refunded. Returns
+    // { order, refund } or { status, error }; Stripe errors are thrown.
+    const issueRefund = async (order, request) => {
+      if (!order.paymentIntentId) {
+        return { status: 409, error: "Order has no payment to refund" };
+      }
+
+      // The order may have been refunded elsewhere since the request
+      const current = refundLines(order, request.lines);
+      if (current.error) return { status: 409, error: current.error };
+
+      const refund = await app.locals.stripe.refunds.create(
+        {
+          payment_intent: order.paymentIntentId,
+          amount: Math.round(current.amount * 100),
+          metadata: {
+            orderId: String(order._id),
+            refundRequestId: String(request._id),
+          },
+        },
+        { idempotencyKey: `refund-${request._id}-${request.attempts}` }
+      );
+
+      const field = orderItemsField(order);
+      const now = new Date();
+      const refundedLines = Object.fromEntries(
+        current.lines.map((line) => [
+          `${field}.${line.index}.refundedQuantity`,
+          line.quantity,
+        ])
+      );
+
+      // Refunds are recorded once per Stripe refund id. When the
+      // charge.refunded webhook got here first, only the lines are added.
+      const refunded =
+        (await paymentCollection.findOneAndUpdate(
+          { _id: order._id, "refunds.stripeRefundId": { $ne: refund.id } },
+          {
+            $inc: {
+              ...refundedLines,
+              amountRefunded: current.amount,
+              version: 1,
+            },
+            $push: {
+              refunds: {
+                refundRequestId: request._id,
+                stripeRefundId: refund.id,
+                amount: current.amount,
+                lines: current.lines,
+                at: now,
+              },
+            },
+          },
+          { returnDocument: "after" }
+        )) ||
+        (await paymentCollection.findOneAndUpdate(
+          { _id: order._id, "refunds.stripeRefundId": refund.id },
+          {
+            $inc: { ...refundedLines, version: 1 },
+            $set: {
+              "refunds.$.refundRequestId": request._id,
+              "refunds.$.lines": current.lines,
+            },
+          },
+          { returnDocument: "after" }
+        ));
+
+      const full = orderItems(refunded).every(
+        (item) => (item.refundedQuantity || 0) >= (item.quantity || 1)
+      );
+      const updated = await transitionOrder(
+        { _id: order._id },
+        full ? "refunded" : "partially_refunded",
+        { refundedAt: now }
+      );
+
+      await restockLines(current.lines);
+      if (full) await releaseReservations({ orderId: order._id });
+      if (!updated) await syncSubOrders(refunded);
+
+      return { order: updated || refunded, refund, amount: current.amount };
+    };
+
+    // =============================FULFILLMENT=============================
+    // Vendors move each of their lines through these states. The order's
+    // fulfillmentStatus is its least advanced line, and an order whose
+    // lines are all delivered becomes fulfilled.
+
+    const LINE_STATES = [
+      "pending",
+      "processing",
+      "ready_for_pickup",
+      "shipped",
+      "delivered",
+    ];
+
+    // Allowed previous states of every line state
+    const LINE_TRANSITIONS = {
+      processing: ["pending"],
+      ready_for_pickup: ["processing"],
+      shipped: ["processing"],
+      delivered: ["ready_for_pickup", "shipped"],
+    };
+
+    // What the buyer is told about a line in each state
+    const LINE_UPDATES = {
+      processing: { title: "Order being prepared", verb: "is being prepared" },
+      ready_for_pickup: {
+        title: "Ready for pickup",
+        verb: "is ready for pickup",
+      },
+      shipped: { title: "Order shipped", verb: "has been shipped" },
+      delivered: { title: "Order delivered", verb: "was delivered" },
+    };
+
+    const lineState = (item) => item.fulfillmentStatus || "pending";
+
+    // Lines refunded in full are no longer owed to the buyer
+    const rollupFulfillment = (order) =>
+      orderItems(order)
+        .filter((item) => (item.refundedQuantity || 0) < (item.quantity || 1))
+        .map(lineState)
+        .reduce(
+          (least, state) =>
+            !least || LINE_STATES.indexOf(state) < LINE_STATES.indexOf(least)
+              ? state
+              : least,
+          null
+        );
+
+    // Move one line to a new state and roll it up to the order. Returns
+    // the updated order, or null when the line cannot move to the state.
+    const advanceLine = async (order, index, status, note) => {
+      const field = `${orderItemsField(order)}.${index}`;
+      const now = new Date();
+
+      // A missing fulfillmentStatus matches null, i.e. pending
+      const previous = LINE_TRANSITIONS[status].flatMap((state) =>
+        state === "pending" ? [state, null] : [state]
+      );
+
+      const updated = await paymentCollection.findOneAndUpdate(
+        { _id: order._id, [`${field}.fulfillmentStatus`]: { $in: previous } },
+        {
+          $set: {
+            [`${field}.fulfillmentStatus`]: status,
+            ...(note && { [`${field}.trackingNote`]: note }),
+            updatedAt: now,
+          },
+          $inc: { version: 1 },
+          $push: {
+            [`${field}.fulfillmentHistory`]: {
+              status,
+              at: now,
+              ...(note && { note }),
+            },
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!updated) return null;
+
+      const fulfillmentStatus = rollupFulfillment(updated);
+
+      if (fulfillmentStatus === "delivered") {
+        const fulfilled = await transitionOrder(
+          { _id: order._id },
+          "fulfilled",
+          { fulfilledAt: now, fulfillmentStatus }
+        );
+        if (fulfilled) return fulfilled;
+      }
+
+      const rolledUp = await paymentCollection.findOneAndUpdate(
+        { _id: order._id },
+        { $set: { fulfillmentStatus }, $inc: { version: 1 } },
+        { returnDocument: "after" }
+      );
+      if (rolledUp) await syncSubOrders(rolledUp);
+      return rolledUp;
+    };
+
+    // =============================SUB-ORDERS=============================
+    // Every order is split into one sub-order per vendor with that
+    // vendor's lines, subtotal, status and commission. Sub-orders are
+    // derived from the order and rebuilt whenever it changes. They keep the
+    // order version they were built from, so a write from an older copy of
+    // the order never replaces a newer one.
+
+    // Status of one vendor's part of an order
+    const subOrderStatus = (order, lines) => {
+      if (
+        ["pending", "failed", "cancelled", "refunded"].includes(order.status)
+      ) {
+        return order.status;
+      }
+
+      const open = lines.filter(
+        (item) => (item.refundedQuantity || 0) < (item.quantity || 1)
+      );
+      if (open.length === 0) return "refunded";
+      if (
+        order.status === "fulfilled" ||
+        open.every((item) => lineState(item) === "delivered")
+      ) {
+        return "fulfilled";
+      }
+      return lines.some((item) => item.refundedQuantity > 0)
+        ? "partially_refunded"
+        : "paid";
+    };
+
+    const writeSubOrders = async (order) => {
+      // index is the line's position in the order
+      const lines = orderItems(order).map((item, index) => ({
+        ...item,
+        index,
+      }));
+
+      // Lines from before snapshots name their vendor on the product
+      const unknown = lines.filter(
+        (item) => !item.vendorEmail && ObjectId.isValid(item.productId)
+      );
+      if (unknown.length > 0) {
+        const products = await productCollections
+          .find({
+            _id: { $in: unknown.map((item) => new ObjectId(item.productId)) },
+          })
+          .project({ vendorEmail: 1, vendorName: 1 })
+          .toArray();
+
+        for (const item of unknown) {
+          const product = products.find(
+            (product) => String(product._id) === String(item.productId)
+          );
+          item.vendorEmail = product?.vendorEmail;
+          item.vendorName = item.vendorName ?? product?.vendorName;
+        }
+      }
+
+      const vendors = [
+        ...new Set(lines.map((item) => item.vendorEmail).filter(Boolean)),
+      ];
+      if (vendors.length === 0) return;
+
+      const rate = order.commissionRate ?? PLATFORM_COMMISSION_RATE;
+      const version = order.version ?? 0;
+      const now = new Date();
+
+      const writes = vendors.map((vendorEmail) => {
+        const items = lines.filter((item) => item.vendorEmail === vendorEmail);
+        const sum = (value) =>
+          roundMoney(items.reduce((total, item) => total + value(item), 0));
+
+        const subtotal = sum(
+          (item) =>
+            (parseFloat(item.price ?? item.pricePerUnit) || 0) *
+            (item.quantity || 1)
+        );
+        const discount = sum((item) => item.discount || 0);
+        const amountRefunded = sum(
+          (item) => paidUnitPrice(item) * (item.refundedQuantity || 0)
+        );
+        const net = roundMoney(subtotal - discount - amountRefunded);
+        const commission = roundMoney(net * rate);
+
+        return {
+          updateOne: {
+            filter: {
+              parentOrderId: order._id,
+              vendorEmail,
+              orderVersion: { $not: { $gt: version } },
+            },
+            update: {
+              $set: {
+                orderVersion: version,
+                paymentIntentId: order.paymentIntentId,
+                vendorName: items[0].vendorName ?? null,
+                buyerEmail: order.buyerEmail,
+                buyerName: order.buyerName,
+                buyerAddress: order.buyerAddress ?? null,
+                items,
+                subtotal,
+                discount,
+                amountRefunded,
+                commissionRate: rate,
+                commission,
+                payout: roundMoney(net - commission),
+                status: subOrderStatus(order, items),
+                fulfillmentStatus: rollupFulfillment({ items }),
+                paidAt: order.paidAt ?? null,
+                updatedAt: now,
+              },
+              $setOnInsert: { createdAt: order.createdAt ?? now },
+            },
+            upsert: true,
+          },
+        };
+      });
+
+      try {
+        await subOrderCollections.bulkWrite(writes, { ordered: false });
+      } catch (error) {
+        // A sub-order built from a newer version makes the upsert collide
+        // with the unique index; this write is stale and is skipped
+        const errors = [].concat(error.writeErrors ?? error);
+        if (!errors.every((writeError) => writeError.code === 11000)) {
+          throw error;
+        }
+      }
+
+      if (order.subOrdersStale) {
+        await paymentCollection.updateOne(
+          { _id: order._id, version: order.version },
+          { $unset: { subOrdersStale: "" } }
+        );
+      }
+    };
+
+    // Vendors only see an order through its sub-orders, so a failed write
+    // is retried. It never fails the order change, whose side effects
+    // still have to run; the order is flagged instead for
+    // POST /admin/migrations/sub-orders?stale=true to rebuild.
+    const syncSubOrders = async (order, attempts = 3) => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await writeSubOrders(order);
+        } catch (error) {
+          if (attempt >= attempts) {
+            logError("Failed to sync sub-orders", error);
+            await paymentCollection
+              .updateOne({ _id: order._id }, { $set: { subOrdersStale: true } })
+              .catch((flagError) =>
+                logError("Failed to flag stale sub-orders", flagError)
+              );
+            return;
+          }
+          await new Promise((resolve) => setTimeout(resolve, 100 * attempt));
+        }
+      }
+    };
+
+    // =============================COUPONS=============================
+    // Coupons take a percentage or a fixed amount off the lines they are
+    // scoped to. Redemptions are counted when an order is placed and given
+    // back when it is cancelled or its payment fails.
+
+    const couponApplies = (coupon, item) =>
+      (!coupon.productIds?.length ||
+        coupon.productIds.includes(String(item.productId))) &&
+      (!coupon.vendorEmails?.length ||
+        coupon.vendorEmails.includes(item.vendorEmail)) &&
+      (!coupon.marketNames?.length ||
+        coupon.marketNames.includes(item.marketName));
+
+    // Check a code for a buyer against built order lines. Returns
+    // { items, discount } with the discount spread over the lines it
+    // applies to, or { status, error }.
+    const evaluateCoupon = async (code, buyerEmail, { items, totalAmount }) => {
+      const coupon = await couponCollections.findOne({
+        code: code.trim().toUpperCase(),
+        status: "active",
+      });
+
+      if (!coupon) {
+        return { status: 404, error: "Coupon not found." };
+      }
+      if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+        return { status: 400, error: "Coupon has expired." };
+      }
+      if (coupon.minOrder && totalAmount < coupon.minOrder) {
+        return {
+          status: 400,
+          error: `Coupon needs an order of at least $${coupon.minOrder.toFixed(
+            2
+          )}.`,
+        };
+      }
+      if (coupon.maxUses && (coupon.redemptions || 0) >= coupon.maxUses) {
+        return { status: 409, error: "Coupon has been used up." };
+      }
+
+      // Only orders that were paid count against the buyer
+      if (coupon.maxUsesPerUser) {
+        const used = await paymentCollection.countDocuments({
+          buyerEmail,
+          "discount.couponId": coupon._id,
+          status: { $in: ["paid", "fulfilled", "partially_refunded"] },
+        });
+        if (used >= coupon.maxUsesPerUser) {
+          return { status: 409, error: "You have already used this coupon." };
+        }
+      }
+
+      const eligible = items.filter((item) => couponApplies(coupon, item));
+      const eligibleTotal = roundMoney(
+        eligible.reduce((sum, item) => sum + item.price * item.quantity, 0)
+      );
+      if (eligibleTotal === 0) {
+        return {
+          status: 400,
+          error: "Coupon does not apply to any item in the order.",
+        };
+      }
+
+      const amount = roundMoney(
+        coupon.type === "percent"
+          ? (eligibleTotal * Math.min(coupon.value, 100)) / 100
+          : Math.min(coupon.value, eligibleTotal)
+      );
+
+      // Lines share the discount by value; the last one takes the rounding
+      let left = amount;
+      const discounted = items.map((item) => {
+        if (!eligible.includes(item)) return item;
+        const share =
+          item === eligible[eligible.length - 1]
+            ? left
+            : roundMoney((amount * item.price * item.quantity) / eligibleTotal);
+        left = roundMoney(left - share);
+        return { ...item, discount: share };
+      });
+
+      return {
+        items: discounted,
+        discount: {
+          couponId: coupon._id,
+          code: coupon.code,
+          type: coupon.type,
+          value: coupon.value,
+          amount,
+        },
+      };
+    };
+
+    // Count a redemption, unless the coupon ran out since it was checked
+    const claimCoupon = (couponId) =>
+      couponCollections.findOneAndUpdate(
+        {
+          _id: couponId,
+          status: "active",
+          $expr: {
+            $lt: [
+              { $ifNull: ["$redemptions", 0] },
+              { $ifNull: ["$maxUses", Infinity] },
+            ],
+          },
+        },
+        { $inc: { redemptions: 1 } }
+      );
+
+    const releaseCoupon = (couponId) =>
+      couponCollections.updateOne(
+        { _id: couponId, redemptions: { $gt: 0 } },
+        { $inc: { redemptions: -1 } }
+      );
+
+    // Give an order's coupon use back when it is cancelled or its payment
+    // fails. The flag on the order makes sure it is only given back once.
+    const releaseOrderCoupon = async (order) => {
+      if (!order.discount) return;
+      const released = await paymentCollection.findOneAndUpdate(
+        { _id: order._id, "discount.released": { $ne: true } },
+        { $set: { "discount.released": true } }
+      );
+      if (released) await releaseCoupon(order.discount.couponId);
+    };
+
+    // A released use counts again when the order is paid after all, even
+    // if the coupon has run out since
+    const reclaimOrderCoupon = async (order) => {
+      if (!order.discount) return;
+      const reclaimed = await paymentCollection.findOneAndUpdate(
+        { _id: order._id, "discount.released": true },
+        { $unset: { "discount.released": "" } }
+      );
+      if (reclaimed) {
+        await couponCollections.updateOne(
+          { _id: order.discount.couponId },
+          { $inc: { redemptions: 1 } }
+        );
+      }
+    };
+
+    // Vendors scope their coupons to themselves and their own products.
+    // Returns the coupon fields to store or { status, error }.
+    const couponFields = async (req, fields) => {
+      if (fields.type === "percent" && fields.value > 100) {
+        return { status: 400, error: "A percent coupon is at most 100" };
+      }
+
+      if (req.user.role !== "vendor") return { fields };
+
+      const email = req.decoded.email;
+      const productIds = fields.productIds || [];
+      const owned = await productCollections.countDocuments({
+        _id: { $in: productIds.map((id) => new ObjectId(id)) },
+        vendorEmail: email,
+      });
+      if (owned !== new Set(productIds).size) {
+        return {
+          status: 403,
+          error: "Vendors can only discount their own products",
+        };
+      }
+
+      return { fields: { ...fields, vendorEmails: [email] } };
+    };
+
+    // =============================ADS=============================
+    // Approved ads run between startsAt and endsAt in one placement slot
+    // and are rotated by weight, which only admins set. Impressions and
+    // clicks are counted per ad and day in adStats.
+
+    const AD_PLACEMENTS = ["homepage_banner", "category_page"];
+
+    // A client counts at most once per ad and event in each window
+    const AD_EVENT_WINDOW_MS = 30 * 60 * 1000;
+
+    // Ads that can be shown now, optionally in one slot and category.
+    // Ads without a category show on every category page.
+    const runningAdsQuery = ({ placement, category }, now = new Date()) => ({
+      status: "approved",
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+        ...(placement === "homepage_banner"
+          ? [{ placement: { $in: [null, "homepage_banner"] } }]
+          : placement
+          ? [{ placement }]
+          : []),
+        ...(category ? [{ category: { $in: [null, category] } }] : []),
+      ],
+    });
+
+    const adWindowError = ({ startsAt, endsAt }) =>
+      startsAt && endsAt && endsAt <= startsAt
+        ? "endsAt must be after startsAt"
+        : null;
+
+    // Where an ad is in its campaign, for its owner
+    const campaignStatus = (ad, now = new Date()) => {
+      if (ad.status !== "approved") return ad.status;
+      if (ad.startsAt && ad.startsAt > now) return "scheduled";
+      if (ad.endsAt && ad.endsAt <= now) return "ended";
+      return "running";
+    };
+
+    // Count an impression or a click of a running ad, once per client
+    // and window. Returns false when the ad is not running.
+    const recordAdEvent = async (id, field, ip) => {
+      if (!ObjectId.isValid(id)) return false;
+
+      const ad = await adCollections.findOne(
+        { _id: new ObjectId(id), ...runningAdsQuery({}) },
+        { projection: { _id: 1 } }
+      );
+      if (!ad) return false;
+
+      const window = Math.floor(Date.now() / AD_EVENT_WINDOW_MS);
+      try {
+        await adEventClientCollections.insertOne({
+          _id: `${ad._id}:${field}:${hashToken(ip || "")}:${window}`,
+          expiresAt: new Date((window + 1) * AD_EVENT_WINDOW_MS),
+        });
+      } catch (error) {
+        // Already counted for this client
+        if (error.code === 11000) return true;
+        throw error;
+      }
+
+      const day = new Date();
+      day.setUTCHours(0, 0, 0, 0);
+
+      await adStatsCollection.updateOne(
+        { adId: ad._id, day },
+        { $inc: { [field]: 1 } },
+        { upsert: true }
+      );
+      return true;
+    };
+
+    // =============================MAIL=============================
+
+    const escapeHtml = (value) =>
+      String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+
+    // Markup that html`` inserts as is
+    const trusted = (markup) => ({ markup });
+
+    // Tagged template that escapes every interpolated value
+    const html = (strings, ...values) =>
+      strings.reduce((out, string, i) => {
+        const value = values[i - 1];
+        return out + (value?.markup ?? escapeHtml(value)) + string;
+      });
+
+    const layout = (title, body) =>
+      html`<div style="font-family: Arial, sans-serif; max-width: 600px">
+        <h2 style="color: #15803d">${title}</h2>
+        ${trusted(body)}
+        <p style="color: #6b7280; font-size: 12px">MarketPulse</p>
+      </div>`;
+
+    const rejectionDetails = ({ rejectionReason, rejectionFeedback }) => ({
+      html: html`${trusted(
+        rejectionReason
+          ? html`<p><strong>Reason:</strong> ${rejectionReason}</p>`
+          : ""
+      )}${trusted(
+        rejectionFeedback
+          ? html`<p><strong>Feedback:</strong> ${rejectionFeedback}</p>`
+          : ""
+      )}`,
+      text: [
+        rejectionReason && `Reason: ${rejectionReason}`,
+        rejectionFeedback && `Feedback: ${rejectionFeedback}`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    });
+
+    const describeAlertEvent = (event) =>
+      event.type === "below"
+        ? `${event.itemName} at ${event.marketName} dropped to $${event.price} (below $${event.threshold}).`
+        : `${event.itemName} at ${event.marketName} changed from $${event.previousPrice} to $${event.price}.`;
+
+    // Every template returns { subject, html, text } for its data
+    const MAIL_TEMPLATES = {
+      contact: ({ name, email, message }) => ({
+        subject: `MarketPulse Form Message from ${name}`,
+        replyTo: email,
+        html: layout(
+          "New Message from MarketPulse Contact Form",
+          html`<p><strong>Name:</strong> ${name}</p>
+            <p><strong>Email:</strong> ${email}</p>
+            <p><strong>Message:</strong></p>
+            <p style="white-space: pre-wrap">${message}</p>`
+        ),
+        text: `Name: ${name}\nEmail: ${email}\n\n${message}`,
+      }),
+
+      vendorApproved: ({ name, shopName }) => ({
+        subject: "Your vendor application was approved",
+        html: layout(
+          "Welcome aboard!",
+          html`<p>
+            Hi ${name}, your shop <strong>${shopName}</strong> can now add
+            products and advertisements.
+          </p>`
+        ),
+        text: `Hi ${name}, your shop ${shopName} can now add products and advertisements.`,
+      }),
+
+      vendorRejected: ({ name, shopName }) => ({
+        subject: "Your vendor application was not approved",
+        html: layout(
+          "Application update",
+          html`<p>
+            Hi ${name}, we could not approve the application for
+            <strong>${shopName}</strong> this time.
+          </p>`
+        ),
+        text: `Hi ${name}, we could not approve the application for ${shopName} this time.`,
+      }),
+
+      productApproved: ({ itemName, marketName }) => ({
+        subject: `Product approved: ${itemName}`,
+        html: layout(
+          "Product approved",
+          html`<p>
+            <strong>${itemName}</strong> at ${marketName} is now live.
+          </p>`
+        ),
+        text: `${itemName} at ${marketName} is now live.`,
+      }),
+
+      productRejected: (product) => {
+        const details = rejectionDetails(product);
+        return {
+          subject: `Product rejected: ${product.itemName}`,
+          html: layout(
+            "Product rejected",
+            html`<p>
+                <strong>${product.itemName}</strong> at ${product.marketName}
+                was not approved.
+              </p>
+              ${trusted(details.html)}`
+          ),
+          text: `${product.itemName} at ${product.marketName} was not approved.\n${details.text}`,
+        };
+      },
+
+      adApproved: ({ title }) => ({
+        subject: `Advertisement approved: ${title}`,
+        html: layout(
+          "Advertisement approved",
+          html`<p>Your advertisement <strong>${title}</strong> is now live.</p>`
+        ),
+        text: `Your advertisement ${title} is now live.`,
+      }),
+
+      adRejected: (ad) => {
+        const details = rejectionDetails(ad);
+        return {
+          subject: `Advertisement rejected: ${ad.title}`,
+          html: layout(
+            "Advertisement rejected",
+            html`<p>
+                Your advertisement <strong>${ad.title}</strong> was not
+                approved.
+              </p>
+              ${trusted(details.html)}`
+          ),
+          text: `Your advertisement ${ad.title} was not approved.\n${details.text}`,
+        };
+      },
+
+      orderReceipt: ({ order }) => {
+        const items = orderItems(order);
+        const total = Number(order.amount).toFixed(2);
+        return {
+          subject: `Your MarketPulse receipt for order ${order._id}`,
+          html: layout(
+            "Thanks for your order!",
+            html`<p>Order <strong>${String(order._id)}</strong></p>
+              <table cellpadding="6" style="border-collapse: collapse">
+                ${trusted(
+                  items
+                    .map(
+                      (item) =>
+                        html`<tr>
+                          <td>${item.itemName}</td>
+                          <td>${item.quantity}</td>
+                          <td>$${(item.price * item.quantity).toFixed(2)}</td>
+                        </tr>`
+                    )
+                    .join("")
+                )}
+              </table>
+              <p><strong>Total:</strong> $${total}</p>`
+          ),
+          text: [
+            `Order ${order._id}`,
+            ...items.map(
+              (item) =>
+                `${item.itemName} x ${item.quantity}: $${(
+                  item.price * item.quantity
+                ).toFixed(2)}`
+            ),
+            `Total: $${total}`,
+          ].join("\n"),
+        };
+      },
+
+      priceAlert: ({ event }) => ({
+        subject: `Price alert: ${event.itemName}`,
+        html: layout("Price alert", html`<p>${describeAlertEvent(event)}</p>`),
+        text: describeAlertEvent(event),
+      }),
+
+      priceAlertDigest: ({ events }) => ({
+        subject: `Your MarketPulse price alerts (${events.length})`,
+        html: layout(
+          "Your price alerts",
+          html`<ul>
+            ${trusted(
+              events
+                .map((event) => html`<li>${describeAlertEvent(event)}</li>`)
+                .join("")
+            )}
+          </ul>`
+        ),
+        text: events.map(describeAlertEvent).join("\n"),
+      }),
+    };
+
+    // Claim a due outbox message, send it and record the outcome. Failed
+    // sends are retried with exponential backoff up to MAIL_MAX_ATTEMPTS.
+    const deliverMail = async (id) => {
+      const now = new Date();
+      const message = await mailOutboxCollection.findOneAndUpdate(
+        { _id: id, status: "pending", nextAttemptAt: { $lte: now } },
+        {
+          // Lease the message so an overlapping run skips it
+          $set: { nextAttemptAt: new Date(now.getTime() + 5 * 60 * 1000) },
+          $inc: { attempts: 1 },
+        },
+        { returnDocument: "after" }
+      );
+      if (!message) return false;
+
+      try {
+        await app.locals.mailTransport.sendMail({
+          from: `"MarketPulse" <${process.env.EMAIL_USER}>`,
+          to: message.to,
+          replyTo: message.replyTo,
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+        });
+        await mailOutboxCollection.updateOne(
+          { _id: id },
+          { $set: { status: "sent", sentAt: new Date() } }
+        );
+        return true;
+      } catch (error) {
+        const backoff = 60 * 1000 * 2 ** (message.attempts - 1);
+        await mailOutboxCollection.updateOne(
+          { _id: id },
+          {
+            $set: {
+              status:
+                message.attempts >= MAIL_MAX_ATTEMPTS ? "failed" : "pending",
+              lastError: error.message,
+              nextAttemptAt: new Date(Date.now() + backoff),
+            },
+          }
+        );
+        return false;
+      }
+    };
+
+    // Render a template into the outbox and try to send it in the
+    // background. Never throws, so mail can't fail the request; resolves
+    // to false when the message could not be queued.
+    const queueMail = async (to, template, data) => {
+      try {
+        const { insertedId } = await mailOutboxCollection.insertOne({
+          to,
+          template,
+          ...MAIL_TEMPLATES[template](data),
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          createdAt: new Date(),
+        });
+        deliverMail(insertedId).catch((error) =>
+          logError("Failed to send mail", error)
+        );
+        return true;
+      } catch (error) {
+        logError("Failed to queue mail", error);
+        return false;
+      }
+    };
+
+    // Retry every due message; run by the outbox cron
+    const processOutbox = async (limit = 50) => {
+      const due = await mailOutboxCollection
+        .find({ status: "pending", nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(limit)
+        .project({ _id: 1 })
+        .toArray();
+
+      let sent = 0;
+      for (const { _id } of due) {
+        if (await deliverMail(_id)) sent++;
+      }
+
+      return { processed: due.length, sent };
+    };
+
+    // =============================REAL-TIME=============================
+    // Server-Sent Events. Events are written to the events collection and
+    // every instance with open streams follows it through a change stream,
+    // so a client receives events published by any instance.
+
+    // Streams connected to this instance
+    const eventClients = new Set();
+    let eventWatcher = null;
+
+    // Who receives an event: { emails } or { role } on the signed-in
+    // stream, or { market } on the public price stream
+    const inScope = (client, scope) => {
+      if (scope.market) {
+        return (
+          client.channel === "prices" &&
+          (!client.market || scope.market.includes(client.market))
+        );
+      }
+      if (client.channel !== "user") return false;
+      if (scope.emails) return scope.emails.includes(client.email);
+      if (scope.role) return client.role === scope.role;
+      return false;
+    };
+
+    // Never throws, so a live update can't fail the request
+    const publish = async (type, data, scope) => {
+      try {
+        await eventCollections.insertOne({
+          type,
+          data,
+          scope,
+          createdAt: new Date(),
+        });
+      } catch (error) {
+        logError("Failed to publish event", error);
+      }
+    };
+
+    // Follow the events collection while this instance has streams open
+    const watchEvents = () => {
+      if (eventWatcher) return;
+
+      eventWatcher = eventCollections.watch([
+        { $match: { operationType: "insert" } },
+      ]);
+      eventWatcher.on("change", ({ fullDocument: event }) => {
+        const payload = `event: ${event.type}\ndata: ${JSON.stringify(
+          event.data
+        )}\n\n`;
+        for (const client of eventClients) {
+          if (inScope(client, event.scope)) client.res.write(payload);
+        }
+      });
+      // Close every stream; EventSource reconnects and watches again
+      eventWatcher.on("error", () => {
+        eventWatcher = null;
+        for (const client of eventClients) client.res.end();
+      });
+    };
+
+    const unwatchEvents = () => {
+      if (!eventWatcher || eventClients.size > 0) return;
+      eventWatcher.close().catch(() => {});
+      eventWatcher = null;
+    };
+
+    const openEventStream = (req, res, client) => {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.write(": connected\n\n");
+
+      const entry = { ...client, res };
+      eventClients.add(entry);
+      watchEvents();
+
+      const close = (reason) => {
+        if (res.writableEnded) return;
+        if (reason) res.write(`event: ${reason}\ndata: {}\n\n`);
+        res.end();
+      };
+
+      // Signed-in streams end with the access token; the client signs
+      // in again through a new ticket
+      const expiry =
+        client.expiresAt &&
+        setTimeout(() => close("expired"), client.expiresAt - Date.now());
+
+      // Comments keep proxies from closing an idle stream. Signed-in
+      // streams also end once the user's role has changed.
+      const heartbeat = setInterval(async () => {
+        if (res.writableEnded) return;
+        res.write(": ping\n\n");
+        if (client.channel !== "user") return;
+
+        const user = await usersCollection
+          .findOne({ email: client.email }, { projection: { role: 1 } })
+          .catch(() => null);
+        if (user?.role !== client.role) close("revoked");
+      }, 25000);
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        eventClients.delete(entry);
+        unwatchEvents();
+      });
+    };
+
+    // Live price of an approved product for market pages
+    const publishPrice = async (product) => {
+      if (product.status !== "approved") return;
+
+      await publish(
+        "price",
+        {
+          productId: String(product._id),
+          itemName: product.itemName,
+          itemKey: product.itemKey,
+          marketId: product.marketId ? String(product.marketId) : null,
+          marketName: product.marketName,
+          pricePerUnit: parseFloat(product.pricePerUnit),
+          date: product.date,
+        },
+        {
+          market: [
+            product.marketId && String(product.marketId),
+            product.marketName,
+          ].filter(Boolean),
+        }
+      );
+    };
+
+    // =============================NOTIFICATIONS=============================
+
+    // Store an in-app notification for one or more users. Like mail, it
+    // never throws, so a notification can't fail the request.
+    const notify = async (emails, type, { title, message, data = {} }) => {
+      const recipients = [].concat(emails).filter(Boolean);
+      if (recipients.length === 0) return;
+
+      try {
+        const notifications = recipients.map((email) => ({
+          email,
+          type,
+          title,
+          message,
+          data,
+          read: false,
+          createdAt: new Date(),
+        }));
+        await notificationCollections.insertMany(notifications);
+
+        for (const notification of notifications) {
+          await publish("notification", notification, {
+            emails: [notification.email],
+          });
+        }
+      } catch (error) {
+        logError("Failed to store notification", error);
+      }
+    };
+
+    const notifyAdmins = async (type, notification) => {
+      await publish(
+        "submission",
+        { type, ...notification.data },
+        { role: "admin" }
+      );
+
+      try {
+        const admins = await usersCollection
+          .find({ role: "admin" })
+          .project({ email: 1 })
+          .toArray();
+        await notify(
+          admins.map((admin) => admin.email),
+          type,
+          notification
+        );
+      } catch (error) {
+        logError("Failed to notify admins", error);
+      }
+    };
+
+    const notifyOrder = async (order, type, title, message) =>
+      notify(order.buyerEmail, type, {
+        title,
+        message,
+        data: { orderId: String(order._id) },
+      });
+
+    // Reason and feedback appended to a rejection message
+    const rejectionNote = ({ rejectionReason, rejectionFeedback }) =>
+      [rejectionReason, rejectionFeedback]
+        .filter(Boolean)
+        .map((note) => ` ${note}`)
+        .join("");
+
+    // =============================AUDIT=============================
+
+    // Fields whose values differ between two snapshots of a document
+    const diffDocuments = (before, after) => {
+      const changes = {};
+      const fields = new Set([
+        ...Object.keys(before || {}),
+        ...Object.keys(after || {}),
+      ]);
+
+      for (const field of fields) {
+        if (field === "_id") continue;
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          changes[field] = { from, to };
+        }
+      }
+
+      return changes;
+    };
+
+    // Append an entry to the audit log; entries are never updated or
+    // deleted. A failed write is logged instead of failing the request.
+    const recordAudit = async (req, action, target, before, after) => {
+      try {
+        await auditLogCollections.insertOne({
+          actor: { email: req.decoded.email, role: req.user?.role || null },
+          action,
+          target: { type: target.type, id: String(target.id) },
+          changes: diffDocuments(before, after),
+          ip: req.ip,
+          userAgent: req.headers["user-agent"] || null,
+          createdAt: new Date(),
+        });
+      } catch (error) {
+        logError("Failed to record audit entry", error);
+      }
+    };
+
+    // Shared by the audit log query and its CSV export
+    const auditLogQuery = ({
+      actor,
+      action,
+      targetType,
+      targetId,
+      from,
+      to,
+    }) => {
+      const query = {};
+      if (actor) query["actor.email"] = actor;
+      if (action) query.action = action;
+      if (targetType) query["target.type"] = targetType;
+      if (targetId) query["target.id"] = targetId;
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = toDate(from);
+        if (to) query.createdAt.$lte = toDate(to);
+      }
+      return query;
+    };
+
+    // Quote a CSV cell, and defuse values a spreadsheet would run as a
+    // formula
+    const csvCell = (value) => {
+      let text = value == null ? "" : String(value);
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    // =============================ANALYTICS=============================
+
+    // Orders that count as sales; refunded ones only count toward revenue
+    // before refunds
+    const SALE_STATUSES = ["paid", "fulfilled", "partially_refunded"];
+
+    // from/to (YYYY-MM-DD, both inclusive) as a condition on a date
+    // field. Returns { range } or { error }.
+    const analyticsRange = ({ from, to }) => {
+      if (
+        (from && !ISO_DATE_PATTERN.test(from)) ||
+        (to && !ISO_DATE_PATTERN.test(to))
+      ) {
+        return { error: "from and to must be YYYY-MM-DD" };
+      }
+
+      const range = {};
+      if (from) range.$gte = new Date(`${from}T00:00:00.000Z`);
+      if (to) {
+        range.$lt = new Date(`${to}T00:00:00.000Z`);
+        range.$lt.setUTCDate(range.$lt.getUTCDate() + 1);
+      }
+
+      return { range: from || to ? range : null };
+    };
+
+    // Orders in the given states and range, with orderDate set
+    const orderStages = (statuses, range) => [
+      { $match: { status: { $in: statuses } } },
+      { $addFields: { orderDate: { $ifNull: ["$paidAt", "$createdAt"] } } },
+      ...(range ? [{ $match: { orderDate: range } }] : []),
+    ];
+
+    const toNumber = (expression, fallback) => ({
+      $convert: {
+        input: expression,
+        to: "double",
+        onError: fallback,
+        onNull: fallback,
+      },
+    });
+
+    // Join the product of an unwound order line into "product". Line
+    // product ids are strings, or ObjectIds on older orders.
+    // With legacyOnly, lines that carry a vendorEmail snapshot skip the
+    // lookup and get no product
+    const lineProductLookup = (projection, { legacyOnly = false } = {}) => {
+      const id = {
+        $convert: {
+          input: "$line.productId",
+          to: "objectId",
+          onError: null,
+          onNull: null,
+        },
+      };
+      return [
+        {
+          $lookup: {
+            from: "products",
+            let: {
+              id: legacyOnly
+                ? {
+                    $cond: [
+                      { $ifNull: ["$line.vendorEmail", false] },
+                      null,
+                      id,
+                    ],
+                  }
+                : id,
+            },
+            pipeline: [
+              { $match: { $expr: { $eq: ["$_id", "$$id"] } } },
+              { $project: projection },
+            ],
+            as: "product",
+          },
+        },
+        { $addFields: { product: { $first: "$product" } } },
+      ];
+    };
+
+    // Units of a line that were sold and not refunded
+    const netQuantity = {
+      $subtract: [
+        toNumber("$line.quantity", 1),
+        toNumber("$line.refundedQuantity", 0),
+      ],
+    };
+
+    // What the buyer paid per unit of a line, after any coupon discount
+    const linePaidPrice = {
+      $subtract: [
+        toNumber({ $ifNull: ["$line.price", "$line.pricePerUnit"] }, 0),
+        {
+          $divide: [
+            toNumber("$line.discount", 0),
+            toNumber("$line.quantity", 1),
+          ],
+        },
+      ],
+    };
+
+    // One document per order line. Orders from before lines were
+    // snapshotted get vendor, market and item from the product. Refunded
+    // units are left out and revenue is after coupon discounts.
+    const orderLineStages = [
+      { $addFields: { line: { $ifNull: ["$items", "$cartItems"] } } },
+      { $unwind: "$line" },
+      ...lineProductLookup(
+        { itemName: 1, itemKey: 1, vendorEmail: 1, marketName: 1 },
+        { legacyOnly: true }
+      ),
+      {
+        $project: {
+          orderId: "$_id",
+          orderDate: 1,
+          buyerEmail: 1,
+          commissionRate: 1,
+          productId: { $toString: "$line.productId" },
+          itemName: { $ifNull: ["$line.itemName", "$product.itemName"] },
+          itemKey: {
+            $ifNull: [
+              "$line.itemKey",
+              "$product.itemKey",
+              {
+                $toLower: { $ifNull: ["$line.itemName", "$product.itemName"] },
+              },
+            ],
+          },
+          vendorEmail: {
+            $ifNull: ["$line.vendorEmail", "$product.vendorEmail"],
+          },
+          marketName: { $ifNull: ["$line.marketName", "$product.marketName"] },
+          quantity: netQuantity,
+          price: toNumber(
+            { $ifNull: ["$line.price", "$line.pricePerUnit"] },
+            0
+          ),
+          revenue: { $multiply: [linePaidPrice, netQuantity] },
+        },
+      },
+      { $match: { quantity: { $gt: 0 } } },
+    ];
+
+    // One vendor's sold order lines in the range
+    const vendorLineStages = (vendorEmail, range) => [
+      ...orderStages(SALE_STATUSES, range),
+      // Orders without line snapshots are matched after the lookup
+      {
+        $match: {
+          $or: [
+            { "items.vendorEmail": vendorEmail },
+            { items: { $exists: false } },
+          ],
+        },
+      },
+      ...orderLineStages,
+      { $match: { vendorEmail } },
+    ];
+
+    // Vendors read their own figures; admins name a vendor with ?vendor=
+    const analyticsVendor = (req) =>
+      req.user.role === "admin" ? req.query.vendor : req.decoded.email;
+
+    // Every sold line of a vendor in a month (YYYY-MM) with the platform
+    // commission taken off at the rate fixed on its order
+    const buildPayoutStatement = async (vendorEmail, month) => {
+      const start = new Date(`${month}-01T00:00:00.000Z`);
+      const end = new Date(start);
+      end.setUTCMonth(end.getUTCMonth() + 1);
+
+      const lines = await paymentCollection
+        .aggregate([
+          ...vendorLineStages(vendorEmail, { $gte: start, $lt: end }),
+          { $sort: { orderDate: 1 } },
+        ])
+        .toArray();
+
+      const rows = lines.map((line) => {
+        // Orders from before the rate was stored use the current rate
+        const commissionRate = line.commissionRate ?? PLATFORM_COMMISSION_RATE;
+        const gross = roundMoney(line.revenue);
+        const commission = roundMoney(gross * commissionRate);
+        return {
+          orderId: String(line.orderId),
+          date: line.orderDate,
+          productId: line.productId,
+          itemName: line.itemName,
+          quantity: line.quantity,
+          price: line.price,
+          gross,
+          commissionRate,
+          commission,
+          net: roundMoney(gross - commission),
+        };
+      });
+
+      const sum = (field) =>
+        roundMoney(rows.reduce((total, row) => total + row[field], 0));
+
+      return {
+        vendorEmail,
+        month,
+        commissionRates: [...new Set(rows.map((row) => row.commissionRate))],
+        lines: rows,
+        totals: {
+          orders: new Set(rows.map((row) => row.orderId)).size,
+          units: sum("quantity"),
+          gross: sum("gross"),
+          commission: sum("commission"),
+          net: sum("net"),
+        },
+      };
+    };
+
+    const payoutCsv = (statement) => {
+      const header =
+        "date,orderId,productId,itemName,quantity,price,gross,commissionRate,commission,net";
+      const rows = statement.lines.map((line) =>
+        [
+          line.date.toISOString().slice(0, 10),
+          line.orderId,
+          line.productId,
+          line.itemName,
+          line.quantity,
+          line.price,
+          line.gross,
+          line.commissionRate,
+          line.commission,
+          line.net,
+        ]
+          .map(csvCell)
+          .join(",")
+      );
+      const { totals } = statement;
+      const footer = [
+        "Total",
+        "",
+        "",
+        "",
+        totals.units,
+        "",
+        totals.gross,
+        "",
+        totals.commission,
+        totals.net,
+      ].join(",");
+
+      return [header, ...rows, footer].join("\n") + "\n";
+    };
+
+    // Stream a payout statement as a one-table PDF
+    const writePayoutPdf = (statement, stream) => {
+      const doc = new PDFDocument({ size: "A4", margin: 40 });
+      doc.pipe(stream);
+
+      doc.fontSize(18).text("MarketPulse payout statement");
+      doc
+        .moveDown(0.5)
+        .fontSize(10)
+        .text(`Vendor: ${statement.vendorEmail}`)
+        .text(`Month: ${statement.month}`)
+        .text(
+          `Platform commission: ${
+            statement.commissionRates
+              .map((rate) => `${roundMoney(rate * 100)}%`)
+              .join(", ") || "none"
+          }`
+        )
+        .moveDown();
+
+      const columns = [
+        ["Date", 40, 55],
+        ["Order", 95, 125],
+        ["Item", 220, 120],
+        ["Qty", 340, 35],
+        ["Gross", 375, 60],
+        ["Commission", 435, 65],
+        ["Net", 500, 55],
+      ];
+      const row = (values, bold = false) => {
+        if (doc.y > doc.page.height - 60) doc.addPage();
+        const y = doc.y;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+        columns.forEach(([, x, width], i) =>
+          doc.text(String(values[i]), x, y, { width, lineBreak: false })
+        );
+        doc.x = 40;
+        doc.y = y + 14;
+      };
+
+      row(
+        columns.map(([label]) => label),
+        true
+      );
+      for (const line of statement.lines) {
+        row([
+          line.date.toISOString().slice(0, 10),
+          line.orderId,
+          line.itemName,
+          line.quantity,
+          line.gross.toFixed(2),
+          line.commission.toFixed(2),
+          line.net.toFixed(2),
+        ]);
+      }
+
+      const { totals } = statement;
+      row(
+        [
+          "Total",
+          `${totals.orders} orders`,
+          "",
+          totals.units,
+          totals.gross.toFixed(2),
+          totals.commission.toFixed(2),
+          totals.net.toFixed(2),
+        ],
+        true
+      );
+
+      doc.end();
+    };
+
+    // Review time in hours of products, ads or vendor applications that
+    // were reviewed in the range, per decision
+    const turnaroundPipeline = (statusField, range) => [
+      { $match: { reviewedAt: { $exists: true, ...(range || {}) } } },
+      {
+        $addFields: {
+          hours: {
+            $divide: [
+              {
+                $subtract: [
+                  "$reviewedAt",
+                  { $ifNull: ["$submittedAt", "$createdAt"] },
+                ],
+              },
+              3600000,
+            ],
+          },
+        },
+      },
+      { $match: { hours: { $gte: 0 } } },
+      {
+        $group: {
+          _id: `$${statusField}`,
+          count: { $sum: 1 },
+          avgHours: { $avg: "$hours" },
+          minHours: { $min: "$hours" },
+          maxHours: { $max: "$hours" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          decision: "$_id",
+          count: 1,
+          avgHours: { $round: ["$avgHours", 1] },
+          minHours: { $round: ["$minHours", 1] },
+          maxHours: { $round: ["$maxHours", 1] },
+        },
+      },
+      { $sort: { decision: 1 } },
+    ];
+
+    // =============================ORDER LISTINGS=============================
+    // Listings sort on a stored field with _id breaking ties, and page
+    // either by page number or by an opaque cursor. Paging runs before any
+    // computed stage so an index can serve it; totals come from
+    // countDocuments.
+
+    // Stored field that each sort=date|amount|status orders by
+    const ORDER_SORT_FIELDS = {
+      date: "createdAt",
+      amount: "amount",
+      status: "status",
+    };
+    const SUB_ORDER_SORT_FIELDS = {
+      date: "createdAt",
+      amount: "subtotal",
+      status: "status",
+    };
+    const COUPON_SORT_FIELDS = {
+      date: "createdAt",
+      amount: "value",
+      status: "status",
+    };
+
+    const encodeCursor = (sortKey, id) =>
+      Buffer.from(BSON.EJSON.stringify({ sortKey, id })).toString("base64url");
+
+    const decodeCursor = (cursor) => {
+      try {
+        const decoded = BSON.EJSON.parse(
+          Buffer.from(cursor, "base64url").toString()
+        );
+        return decoded && "id" in decoded ? decoded : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    // sort=date|amount|status, order=asc|desc, limit, and page or cursor.
+    // Returns the options or { error }.
+    const listingOptions = (query, defaultLimit) => {
+      const sort = query.sort || "date";
+      if (!["date", "amount", "status"].includes(sort)) {
+        return { error: "sort must be date, amount or status" };
+      }
+
+      const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+      if (query.cursor && !cursor) {
+        return { error: "Invalid cursor" };
+      }
+
+      const limit = parseInt(query.limit) || defaultLimit;
+
+      return {
+        sort,
+        direction: query.order === "asc" ? 1 : -1,
+        cursor,
+        limit: limit && Math.min(limit, 100),
+        page: parseInt(query.page) || 1,
+      };
+    };
+
+    // Resume after the cursor (or skip to the page), then sort and limit
+    const pageStages = ({ direction, cursor, limit, page }, sortField) => {
+      const after = direction === 1 ? "$gt" : "$lt";
+      const sortKey = cursor?.sortKey ?? null;
+      // Missing values sort lowest and compare only to null: they come
+      // after every value when descending, and before them when ascending
+      const beyond =
+        sortKey === null
+          ? direction === 1
+            ? [{ [sortField]: { $ne: null } }]
+            : []
+          : [
+              { [sortField]: { [after]: sortKey } },
+              ...(direction === -1 ? [{ [sortField]: null }] : []),
+            ];
+      return [
+        ...(cursor
+          ? [
+              {
+                $match: {
+                  $or: [
+                    ...beyond,
+                    { [sortField]: sortKey, _id: { [after]: cursor.id } },
+                  ],
+                },
+              },
+            ]
+          : []),
+        { $sort: { [sortField]: direction, _id: direction } },
+        ...(limit && !cursor ? [{ $skip: (page - 1) * limit }] : []),
+        ...(limit ? [{ $limit: limit }] : []),
+      ];
+    };
+
+    // Orders from before line snapshots fall back to the product
+    const linePrice = { $ifNull: ["$line.price", "$line.pricePerUnit"] };
+
+    // Coupon discount on a line, and its refunded units and what was
+    // paid for them
+    const lineAmounts = {
+      discount: { $ifNull: ["$line.discount", 0] },
+      refundedQuantity: { $ifNull: ["$line.refundedQuantity", 0] },
+      refundedAmount: {
+        $round: [
+          {
+            $multiply: [linePaidPrice, toNumber("$line.refundedQuantity", 0)],
+          },
+          2,
+        ],
+      },
+    };
+
+    // Where a line is in fulfillment
+    const lineFulfillment = {
+      fulfillmentStatus: { $ifNull: ["$line.fulfillmentStatus", "pending"] },
+      trackingNote: { $ifNull: ["$line.trackingNote", null] },
+      fulfillmentHistory: { $ifNull: ["$line.fulfillmentHistory", []] },
+    };
+
+    // The order's latest refund request in "refundRequest", or null
+    const refundRequestLookup = (orderIdField = "_id") => [
+      {
+        $lookup: {
+          from: "refundRequests",
+          localField: orderIdField,
+          foreignField: "orderId",
+          pipeline: [
+            { $sort: { createdAt: -1 } },
+            { $limit: 1 },
+            { $project: { status: 1, amount: 1, createdAt: 1 } },
+          ],
+          as: "refundRequest",
+        },
+      },
+      {
+        $addFields: {
+          refundRequest: { $ifNull: [{ $first: "$refundRequest" }, null] },
+        },
+      },
+    ];
+
+    // =============================PRICE ALERTS=============================
+
+    // Check a product's current price against the alerts watching it.
+    // Each alert remembers the last price it saw per product, so "below"
+    // fires once per crossing and "change_pct" measures from the last
+    // price of the same vendor's listing.
+    const evaluatePriceAlerts = async (product) => {
+      const price = parseFloat(product.pricePerUnit);
+      if (product.status !== "approved" || isNaN(price)) return;
+
+      const productId = String(product._id);
+      const alerts = await priceAlertCollections
+        .find({
+          status: "active",
+          $or: [
+            { productId },
+            {
+              productId: { $exists: false },
+              itemKey: normalizeItemKey(product.itemName),
+              $or: [
+                { marketName: { $exists: false } },
+                { marketName: product.marketName },
+              ],
+            },
+          ],
+        })
+        .toArray();
+
+      for (const alert of alerts) {
+        // Alerts created before per-product prices only have lastPrice
+        const lastPrice =
+          alert.lastPrices?.[productId] ??
+          (alert.productId ? alert.lastPrice : undefined);
+        let triggered = false;
+
+        if (alert.type === "below") {
+          triggered =
+            price < alert.threshold &&
+            (lastPrice == null || lastPrice >= alert.threshold);
+        } else if (lastPrice) {
+          triggered =
+            (Math.abs(price - lastPrice) / lastPrice) * 100 >= alert.threshold;
+        }
+
+        await priceAlertCollections.updateOne(
+          { _id: alert._id },
+          {
+            $set: {
+              [`lastPrices.${productId}`]: price,
+              ...(triggered && { lastTriggeredAt: new Date() }),
+            },
+          }
+        );
+
+        if (!triggered) continue;
+
+        const event = {
+          alertId: alert._id,
+          email: alert.email,
+          productId,
+          itemName: product.itemName,
+          marketName: product.marketName,
+          type: alert.type,
+          threshold: alert.threshold,
+          price,
+          previousPrice: lastPrice ?? null,
+          delivery: alert.delivery,
+          triggeredAt: new Date(),
+          // Set once the mail is queued. Digest events, and instant ones
+          // whose mail could not be queued, go out with the next digest.
+          sentAt: null,
+        };
+        const { insertedId } = await alertEventCollections.insertOne(event);
+
+        if (
+          alert.delivery === "instant" &&
+          (await queueMail(alert.email, "priceAlert", { event }))
+        ) {
+          await alertEventCollections.updateOne(
+            { _id: insertedId },
+            { $set: { sentAt: new Date() } }
+          );
+        }
+      }
+    };
+
+    // Queue one summary email per user for their unsent alert events.
+    // Events whose digest could not be queued stay unsent for the next run.
+    const sendAlertDigests = async () => {
+      const groups = await alertEventCollections
+        .aggregate([
+          { $match: { sentAt: null } },
+          { $sort: { triggeredAt: 1 } },
+          { $group: { _id: "$email", events: { $push: "$$ROOT" } } },
+        ])
+        .toArray();
+
+      let recipients = 0;
+      for (const { _id: email, events } of groups) {
+        if (!(await queueMail(email, "priceAlertDigest", { events }))) {
+          continue;
+        }
+        recipients++;
+        await alertEventCollections.updateMany(
+          { _id: { $in: events.map((event) => event._id) } },
+          { $set: { sentAt: new Date() } }
+        );
+      }
+
+      return { recipients, failed: groups.length - recipients };
+    };
+
+    // =============================GET API=============================
+
+    // GET all users
+    app.get("/users", verifyToken, verifyRole("admin"), async (req, res) => {
+      try {
+        const search = req.query.search || "";
+        const query = search
+          ? { email: { $regex: search, $options: "i" } }
+          : {};
+
+        const users = await usersCollection.find(query).toArray();
+        res.send(users);
+      } catch (err) {
+        res.status(500).send({ message: "Failed to fetch users." });
+      }
+    });
+
+    // GET user role
+    app.get(
+      "/usersRole",
+      verifyToken,
+      verifyRole("admin", "vendor", "user"),
+      async (req, res) => {
+        const email = req.decoded.email;
+
+        try {
+          const user = await usersCollection.findOne(
+            { email },
+            {
+              projection: {
+                role: 1,
+                _id: 0,
+              },
+            }
+          );
+
+          if (!user) {
+            return res.status(404).json({ error: "User not found" });
+          }
+
+          res.send(user);
+        } catch (err) {
+          res.status(500).json({ error: "Server error" });
+        }
+      }
+    );
+
+    // GET the caller's own profile
+    app.get("/me", verifyToken, async (req, res) => {
+      try {
+        const user = await usersCollection.findOne({
+          email: req.decoded.email,
+        });
+
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+
+        res.send(user);
+      } catch (err) {
+        res.status(500).json({ error: "Server error" });
+      }
+    });
+
+    // GET all products for admin and user
+    app.get(
+      "/all-products",
+      verifyToken,
+      verifyRole("admin", "user"),
+      async (req, res) => {
+        try {
+          const products = await productCollections
+            .find({})
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(products);
+        } catch (err) {
+          res.status(500).json({ error: "Failed to fetch products" });
+        }
+      }
+    );
+
+    // GET all products
+    app.get("/getAll-products", async (req, res) => {
+      try {
+        const products = await productCollections
+          .find({ status: "approved", marketArchived: { $ne: true } })
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.send(products);
+      } catch (err) {
+        res.status(500).json({ error: "Failed to fetch products" });
+      }
+    });
+
+    // GET all products by vendor
+    app.get(
+      "/my-products",
+      verifyToken,
+      verifyRole("vendor"),
+      async (req, res) => {
+        const query = { vendorEmail: req.decoded.email };
+        try {
+          await releaseExpiredReservations();
+
+          const products = await productCollections
+            .find(query)
+            .sort({ createdAt: -1 })
+            .toArray();
+
+          // Flag tracked products that are running low
+          res.send(
+            products.map((product) => {
+              const available = availableStock(product);
+              if (available === Infinity) return product;
+
+              const threshold =
+                product.lowStockThreshold ?? LOW_STOCK_THRESHOLD;
+              return {
+                ...product,
+                availableStock: available,
+                lowStock: available <= threshold,
+              };
+            })
+          );
+        } catch (err) {
+          res.status(500).json({ error: "Failed to fetch products" });
+        }
+      }
+    );
+
+    // GET all approved products, with filters, text search and facets
+    app.get("/approved-products", async (req, res) => {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 9;
+      const { date, market, category, vendor, from, to, q } = req.query;
+      const near = parseNear(req.query);
+      const sort =
+        req.query.sort || (q ? "relevance" : near ? "distance" : "newest");
+
+      if (near?.error) {
+        return res.status(400).json({ error: near.error });
+      }
+
+      const skip = (page - 1) * limit;
+
+      // Products of deleted markets stay hidden
+      const query = { status: "approved", marketArchived: { $ne: true } };
+
+      if (q) {
+        query.$text = { $search: String(q) };
+      }
+
+      if (date) {
+        query.date = { $regex: `^${escapeRegex(date)}` };
+      } else if (from || to) {
+        // Product dates are stored as YYYY-MM-DD, so strings compare in order
+        query.date = {};
+        if (from) query.date.$gte = String(from);
+        if (to) query.date.$lte = String(to);
+      }
+
+      if (market) {
+        query.marketName = String(market);
+      }
+
+      if (ObjectId.isValid(req.query.marketId)) {
+        query.marketId = new ObjectId(req.query.marketId);
+      }
+
+      if (category) {
+        query.category = String(category);
+      }
+
+      if (ObjectId.isValid(req.query.categoryId)) {
+        query.categoryId = new ObjectId(req.query.categoryId);
+      }
+
+      if (vendor) {
+        query.$or = [
+          { vendorEmail: String(vendor) },
+          {
+            vendorName: {
+              $regex: `^${escapeRegex(vendor)}$`,
+              $options: "i",
+            },
+          },
+        ];
+      }
+
+      const minPrice = parseFloat(req.query.minPrice);
+      const maxPrice = parseFloat(req.query.maxPrice);
+      if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+        query.pricePerUnit = {};
+        if (!isNaN(minPrice)) query.pricePerUnit.$gte = minPrice;
+        if (!isNaN(maxPrice)) query.pricePerUnit.$lte = maxPrice;
+      }
+
+      let sortOptions = { createdAt: -1 };
+      if (sort === "asc") {
+        sortOptions = { pricePerUnit: 1 };
+      } else if (sort === "desc") {
+        sortOptions = { pricePerUnit: -1 };
+      } else if (sort === "oldest") {
+        sortOptions = { createdAt: 1 };
+      } else if (sort === "relevance" && q) {
+        sortOptions = { score: -1, createdAt: -1 };
+      } else if (sort === "distance" && near) {
+        sortOptions = { distanceMiles: 1, pricePerUnit: 1 };
+      }
+
+      try {
+        // Restrict to markets within the radius
+        const nearbyMarkets = near ? await findMarketsNear(near) : [];
+        if (near) {
+          query.$and = [
+            { marketId: { $in: nearbyMarkets.map((market) => market._id) } },
+          ];
+        }
+
+        const [result] = await productCollections
+          .aggregate([
+            { $match: query },
+            ...(q ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+            ...(near ? [addMarketDistance(nearbyMarkets)] : []),
+            {
+              $facet: {
+                products: [
+                  { $sort: sortOptions },
+                  { $skip: skip },
+                  { $limit: limit },
+                ],
+                total: [{ $count: "count" }],
+                markets: [
+                  { $group: { _id: "$marketName", count: { $sum: 1 } } },
+                  { $sort: { count: -1, _id: 1 } },
+                  { $project: { _id: 0, name: "$_id", count: 1 } },
+                ],
+                categories: [
+                  { $match: { category: { $exists: true, $ne: null } } },
+                  { $group: { _id: "$category", count: { $sum: 1 } } },
+                  { $sort: { count: -1, _id: 1 } },
+                  { $project: { _id: 0, name: "$_id", count: 1 } },
+                ],
+              },
+            },
+          ])
+          .toArray();
+
+        const total = result.total[0]?.count || 0;
+
+        res.json({
+          products: result.products,
+          total,
+          page,
+          totalPages: Math.ceil(total / limit),
+          facets: {
+            markets: result.markets,
+            categories: result.categories,
+          },
+        });
+      } catch (err) {
+        res.status(500).json({ error: "Failed to fetch products" });
+      }
+    });
+
+    // GET price history of an item across markets
+    app.get("/price-history/:productName", async (req, res) => {
+      const { productName } = req.params;
+      const { market, from, to } = req.query;
+      const interval = req.query.interval || "day";
+
+      if (!["day", "week", "month"].includes(interval)) {
+        return res
+          .status(400)
+          .json({ error: "Interval must be day, week or month" });
+      }
+
+      const match = { itemKey: normalizeItemKey(productName) };
+
+      if (market) {
+        match.marketName = market;
+      }
+
+      if (from || to) {
+        match.date = {};
+        if (from) match.date.$gte = toDate(from);
+        if (to) match.date.$lte = toDate(to);
+      }
+
+      try {
+        const markets = await priceHistoryCollection
+          .aggregate([
+            { $match: match },
+            // Only prices of approved products are public, and listings
+            // at deleted markets are left out
+            {
+              $lookup: {
+                from: "products",
+                localField: "productId",
+                foreignField: "_id",
+                pipeline: [{ $project: { status: 1, marketArchived: 1 } }],
+                as: "product",
+              },
+            },
+            {
+              $match: {
+                "product.status": "approved",
+                "product.marketArchived": { $ne: true },
+              },
+            },
+            {
+              $group: {
+                _id: {
+                  marketName: "$marketName",
+                  period: {
+                    $dateTrunc: {
+                      date: "$date",
+                      unit: interval,
+                      startOfWeek: "monday",
+                    },
+                  },
+                },
+                min: { $min: "$pricePerUnit" },
+                max: { $max: "$pricePerUnit" },
+                avg: { $avg: "$pricePerUnit" },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { "_id.period": 1 } },
+            {
+              $group: {
+                _id: "$_id.marketName",
+                points: {
+                  $push: {
+                    period: "$_id.period",
+                    min: "$min",
+                    max: "$max",
+                    avg: { $round: ["$avg", 2] },
+                    count: "$count",
+                  },
+                },
+              },
+            },
+            { $project: { _id: 0, marketName: "$_id", points: 1 } },
+            { $sort: { marketName: 1 } },
+          ])
+          .toArray();
+
+        res.json({ itemName: productName, interval, markets });
+      } catch (err) {
+        res.status(500).json({ error: "Failed to fetch price history" });
+      }
+    });
+
+    // Live events for the signed-in user: their notifications, new orders
+    // for vendors and new submissions for admins
+    app.get(
+      "/events",
+      verifyStreamTicket,
+      verifyRole("user", "vendor", "admin"),
+      (req, res) => {
+        openEventStream(req, res, {
+          channel: "user",
+          email: req.user.email,
+          role: req.user.role,
+          expiresAt: req.decoded.exp * 1000,
+        });
+      }
+    );
+
+    // Public live price changes, optionally for one market (id or name)
+    app.get("/events/prices", (req, res) => {
+      openEventStream(req, res, {
+        channel: "prices",
+        market: req.query.market || null,
+      });
+    });
+
+    // GET the signed-in user's notifications, newest first
+    app.get("/notifications", verifyToken, async (req, res) => {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const email = req.decoded.email;
+
+      const query = { email };
+      if (req.query.unread === "true") {
+        query.read = false;
+      }
+
+      try {
+        const [notifications, total, unreadCount] = await Promise.all([
+          notificationCollections
+            .find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray(),
+          notificationCollections.countDocuments(query),
+          notificationCollections.countDocuments({ email, read: false }),
+        ]);
+
+        res.json({
+          notifications,
+          total,
+          unreadCount,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
+        res.status(500).json({ error: "Failed to fetch notifications" });
+      }
+    });
+
+    // GET the signed-in user's price alerts
+    app.get("/alerts", verifyToken, async (req, res) => {
+      try {
+        const alerts = await priceAlertCollections
+          .find({ email: req.decoded.email })
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.send(alerts);
+      } catch (err) {
+        res.status(500).json({ error: "Failed to fetch alerts" });
+      }
+    });
+
+    // Send pending digest alerts; called by the scheduler with CRON_SECRET
+    app.get("/cron/price-alert-digest", verifyCron, async (req, res) => {
+      try {
+        res.json(await sendAlertDigests());
+      } catch (err) {
+        res.status(500).json({ error: "Failed to send digests" });
+      }
+    });
+
+    // Retry queued mail and release expired stock holds; called by the
+    // scheduler with CRON_SECRET
+    app.get("/cron/mail-outbox", verifyCron, async (req, res) => {
+      try {
+        const reservations = await releaseExpiredReservations();
+        res.json({ ...(await processOutbox()), reservations });
+      } catch (err) {
+        res.status(500).json({ error: "Failed to process mail outbox" });
+      }
+    });
+
+    // GET audit log entries filtered by actor, action, target or date
+    app.get(
+      "/admin/audit-logs",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const query = auditLogQuery(req.query);
+
+        try {
+          const [logs, total] = await Promise.all([
+            auditLogCollections
+              .find(query)
+              .sort({ createdAt: -1 })
+              .skip((page - 1) * limit)
+              .limit(limit)
+              .toArray(),
+            auditLogCollections.countDocuments(query),
+          ]);
+
+          res.json({ logs, total, totalPages: Math.ceil(total / limit) });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to fetch audit logs" });
+        }
+      }
+    );
+
+    // GET the same audit log query as CSV
+    app.get(
+      "/admin/audit-logs/export",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        try {
+          const cursor = auditLogCollections
+            .find(auditLogQuery(req.query))
+            .sort({ createdAt: -1 });
+
+          res.setHeader("Content-Type", "text/csv; charset=utf-8");
+          res.setHeader(
+            "Content-Disposition",
+            'attachment; filename="audit-logs.csv"'
+          );
+          res.write(
+            "createdAt,actorEmail,actorRole,action,targetType,targetId,ip,changes\n"
+          );
+
+          for await (const log of cursor) {
+            const row = [
+              log.createdAt.toISOString(),
+              log.actor.email,
+              log.actor.role,
+              log.action,
+              log.target.type,
+              log.target.id,
+              log.ip,
+              JSON.stringify(log.changes),
+            ];
+            res.write(row.map(csvCell).join(",") + "\n");
+          }
+
+          res.end();
+        } catch (err) {
+          if (res.headersSent) return res.end();
+          res.status(500).json({ error: "Failed to export audit logs" });
+        }
+      }
+    );
+
+    // GET revenue per day, week or month (admin)
+    app.get(
+      "/admin/analytics/revenue",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const interval = req.query.interval || "day";
+        const { range, error } = analyticsRange(req.query);
+
+        if (!["day", "week", "month"].includes(interval)) {
+          return res
+            .status(400)
+            .json({ error: "Interval must be day, week or month" });
+        }
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const points = await paymentCollection
+            .aggregate([
+              ...orderStages([...SALE_STATUSES, "refunded"], range),
+              {
+                $group: {
+                  _id: {
+                    $dateTrunc: {
+                      date: "$orderDate",
+                      unit: interval,
+                      startOfWeek: "monday",
+                    },
+                  },
+                  orders: { $sum: 1 },
+                  gross: { $sum: toNumber("$amount", 0) },
+                  refunded: { $sum: toNumber("$amountRefunded", 0) },
+                },
+              },
+              { $sort: { _id: 1 } },
+              {
+                $project: {
+                  _id: 0,
+                  period: "$_id",
+                  orders: 1,
+                  gross: { $round: ["$gross", 2] },
+                  refunded: { $round: ["$refunded", 2] },
+                  net: { $round: [{ $subtract: ["$gross", "$refunded"] }, 2] },
+                },
+              },
+            ])
+            .toArray();
+
+          res.json({ interval, points });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to compute revenue" });
+        }
+      }
+    );
+
+    // GET orders, units and revenue per vendor, product or market (admin)
+    app.get(
+      "/admin/analytics/sales",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const by = req.query.by || "vendor";
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const { range, error } = analyticsRange(req.query);
+
+        const keys = {
+          vendor: "$vendorEmail",
+          product: "$productId",
+          market: "$marketName",
+        };
+
+        if (!keys[by]) {
+          return res
+            .status(400)
+            .json({ error: "by must be vendor, product or market" });
+        }
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const rows = await paymentCollection
+            .aggregate([
+              ...orderStages(SALE_STATUSES, range),
+              ...orderLineStages,
+              {
+                $group: {
+                  _id: keys[by],
+                  ...(by === "product" && {
+                    itemName: { $first: "$itemName" },
+                  }),
+                  orderIds: { $addToSet: "$orderId" },
+                  units: { $sum: "$quantity" },
+                  revenue: { $sum: "$revenue" },
+                },
+              },
+              {
+                $project: {
+                  _id: 0,
+                  [by]: "$_id",
+                  ...(by === "product" && { itemName: 1 }),
+                  orders: { $size: "$orderIds" },
+                  units: 1,
+                  revenue: { $round: ["$revenue", 2] },
+                },
+              },
+              { $sort: { revenue: -1 } },
+              { $limit: limit },
+            ])
+            .toArray();
+
+          res.json({ by, rows });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to compute sales" });
+        }
+      }
+    );
+
+    // GET the best-selling items by units sold (admin)
+    app.get(
+      "/admin/analytics/top-items",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+        const { range, error } = analyticsRange(req.query);
+
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const items = await paymentCollection
+            .aggregate([
+              ...orderStages(SALE_STATUSES, range),
+              ...orderLineStages,
+              {
+                $group: {
+                  _id: "$itemKey",
+                  itemName: { $first: "$itemName" },
+                  orderIds: { $addToSet: "$orderId" },
+                  units: { $sum: "$quantity" },
+                  revenue: { $sum: "$revenue" },
+                },
+              },
+              { $sort: { units: -1, revenue: -1 } },
+              { $limit: limit },
+              {
+                $project: {
+                  _id: 0,
+                  itemKey: "$_id",
+                  itemName: 1,
+                  orders: { $size: "$orderIds" },
+                  units: 1,
+                  revenue: { $round: ["$revenue", 2] },
+                },
+              },
+            ])
+            .toArray();
+
+          res.json({ items });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to compute top items" });
+        }
+      }
+    );
+
+    // GET new users and approved vendors per day, week or month (admin)
+    app.get(
+      "/admin/analytics/signups",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const interval = req.query.interval || "day";
+        const { range, error } = analyticsRange(req.query);
+
+        if (!["day", "week", "month"].includes(interval)) {
+          return res
+            .status(400)
+            .json({ error: "Interval must be day, week or month" });
+        }
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const points = await usersCollection
+            .aggregate([
+              { $project: { _id: 0, date: "$createdAt", kind: "users" } },
+              {
+                $unionWith: {
+                  coll: "vendorApplications",
+                  pipeline: [
+                    { $match: { vendor_status: "approved" } },
+                    {
+                      $project: {
+                        _id: 0,
+                        date: { $ifNull: ["$reviewedAt", "$createdAt"] },
+                        kind: "vendors",
+                      },
+                    },
+                  ],
+                },
+              },
+              { $match: { date: range || { $type: "date" } } },
+              {
+                $group: {
+                  _id: {
+                    $dateTrunc: {
+                      date: "$date",
+                      unit: interval,
+                      startOfWeek: "monday",
+                    },
+                  },
+                  users: {
+                    $sum: { $cond: [{ $eq: ["$kind", "users"] }, 1, 0] },
+                  },
+                  vendors: {
+                    $sum: { $cond: [{ $eq: ["$kind", "vendors"] }, 1, 0] },
+                  },
+                },
+              },
+              { $sort: { _id: 1 } },
+              { $project: { _id: 0, period: "$_id", users: 1, vendors: 1 } },
+            ])
+            .toArray();
+
+          res.json({ interval, points });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to compute signups" });
+        }
+      }
+    );
+
+    // GET how long reviews of products, ads and vendor applications take
+    app.get(
+      "/admin/analytics/approval-turnaround",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const { range, error } = analyticsRange(req.query);
+
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const [products, ads, vendorApplications] = await Promise.all([
+            productCollections
+              .aggregate(turnaroundPipeline("status", range))
+              .toArray(),
+            adCollections
+              .aggregate(turnaroundPipeline("status", range))
+              .toArray(),
+            vendorsCollection
+              .aggregate(turnaroundPipeline("vendor_status", range))
+              .toArray(),
+          ]);
+
+          res.json({ products, ads, vendorApplications });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to compute turnaround" });
+        }
+      }
+    );
+
+    // GET a vendor's revenue per day, week or month
+    app.get(
+      "/vendor/analytics/revenue",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      async (req, res) => {
+        const vendorEmail = analyticsVendor(req);
+        const interval = req.query.interval || "day";
+        const { range, error } = analyticsRange(req.query);
+
+        if (!vendorEmail) {
+          return res.status(400).json({ error: "vendor is required" });
+        }
+        if (!["day", "week", "month"].includes(interval)) {
+          return res
+            .status(400)
+            .json({ error: "Interval must be day, week or month" });
+        }
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const points = await paymentCollection
+            .aggregate([
+              ...vendorLineStages(vendorEmail, range),
+              {
+                $group: {
+                  _id: {
+                    $dateTrunc: {
+                      date: "$orderDate",
+                      unit: interval,
+                      startOfWeek: "monday",
+                    },
+                  },
+                  orderIds: { $addToSet: "$orderId" },
+                  units: { $sum: "$quantity" },
+                  revenue: { $sum: "$revenue" },
+                },
+              },
+              { $sort: { _id: 1 } },
+              {
+                $project: {
+                  _id: 0,
+                  period: "$_id",
+                  orders: { $size: "$orderIds" },
+                  units: 1,
+                  revenue: { $round: ["$revenue", 2] },
+                },
+              },
+            ])
+            .toArray();
+
+          res.json({ interval, points });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to compute revenue" });
+        }
+      }
+    );
+
+    // GET a vendor's units sold and revenue per product
+    app.get(
+      "/vendor/analytics/products",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      async (req, res) => {
+        const vendorEmail = analyticsVendor(req);
+        const { range, error } = analyticsRange(req.query);
+
+        if (!vendorEmail) {
+          return res.status(400).json({ error: "vendor is required" });
+        }
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const products = await paymentCollection
+            .aggregate([
+              ...vendorLineStages(vendorEmail, range),
+              {
+                $group: {
+                  _id: "$productId",
+                  itemName: { $first: "$itemName" },
+                  orderIds: { $addToSet: "$orderId" },
+                  units: { $sum: "$quantity" },
+                  revenue: { $sum: "$revenue" },
+                },
+              },
+              {
+                $project: {
+                  _id: 0,
+                  productId: "$_id",
+                  itemName: 1,
+                  orders: { $size: "$orderIds" },
+                  units: 1,
+                  revenue: { $round: ["$revenue", 2] },
+                  avgPrice: {
+                    $round: [{ $divide: ["$revenue", "$units"] }, 2],
+                  },
+                },
+              },
+              { $sort: { units: -1 } },
+            ])
+            .toArray();
+
+          res.json({ products });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to compute product sales" });
+        }
+      }
+    );
+
+    // GET how many of a vendor's buyers came back, and the top buyers
+    app.get(
+      "/vendor/analytics/repeat-buyers",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      async (req, res) => {
+        const vendorEmail = analyticsVendor(req);
+        const { range, error } = analyticsRange(req.query);
+
+        if (!vendorEmail) {
+          return res.status(400).json({ error: "vendor is required" });
+        }
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const [result] = await paymentCollection
+            .aggregate([
+              ...vendorLineStages(vendorEmail, range),
+              {
+                $group: {
+                  _id: "$buyerEmail",
+                  orderIds: { $addToSet: "$orderId" },
+                  revenue: { $sum: "$revenue" },
+                  firstOrderAt: { $min: "$orderDate" },
+                  lastOrderAt: { $max: "$orderDate" },
+                },
+              },
+              { $addFields: { orders: { $size: "$orderIds" } } },
+              {
+                $facet: {
+                  summary: [
+                    {
+                      $group: {
+                        _id: null,
+                        buyers: { $sum: 1 },
+                        repeatBuyers: {
+                          $sum: { $cond: [{ $gt: ["$orders", 1] }, 1, 0] },
+                        },
+                      },
+                    },
+                  ],
+                  topBuyers: [
+                    { $sort: { orders: -1, revenue: -1 } },
+                    { $limit: 10 },
+                    {
+                      $project: {
+                        _id: 0,
+                        buyerEmail: "$_id",
+                        orders: 1,
+                        revenue: { $round: ["$revenue", 2] },
+                        firstOrderAt: 1,
+                        lastOrderAt: 1,
+                      },
+                    },
+                  ],
+                },
+              },
+            ])
+            .toArray();
+
+          const { buyers = 0, repeatBuyers = 0 } = result.summary[0] || {};
+
+          res.json({
+            buyers,
+            repeatBuyers,
+            repeatRate: buyers ? roundMoney(repeatBuyers / buyers) : 0,
+            topBuyers: result.topBuyers,
+          });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to compute repeat buyers" });
+        }
+      }
+    );
+
+    // GET average selling price against units sold over time, per product
+    app.get(
+      "/vendor/analytics/price-trends",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      async (req, res) => {
+        const vendorEmail = analyticsVendor(req);
+        const interval = req.query.interval || "week";
+        const { range, error } = analyticsRange(req.query);
+
+        if (!vendorEmail) {
+          return res.status(400).json({ error: "vendor is required" });
+        }
+        if (!["day", "week", "month"].includes(interval)) {
+          return res
+            .status(400)
+            .json({ error: "Interval must be day, week or month" });
+        }
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const products = await paymentCollection
+            .aggregate([
+              ...vendorLineStages(vendorEmail, range),
+              ...(req.query.productId
+                ? [{ $match: { productId: req.query.productId } }]
+                : []),
+              {
+                $group: {
+                  _id: {
+                    productId: "$productId",
+                    period: {
+                      $dateTrunc: {
+                        date: "$orderDate",
+                        unit: interval,
+                        startOfWeek: "monday",
+                      },
+                    },
+                  },
+                  itemName: { $first: "$itemName" },
+                  units: { $sum: "$quantity" },
+                  revenue: { $sum: "$revenue" },
+                  minPrice: { $min: "$price" },
+                  maxPrice: { $max: "$price" },
+                },
+              },
+              { $sort: { "_id.period": 1 } },
+              {
+                $group: {
+                  _id: "$_id.productId",
+                  itemName: { $first: "$itemName" },
+                  points: {
+                    $push: {
+                      period: "$_id.period",
+                      units: "$units",
+                      avgPrice: {
+                        $round: [{ $divide: ["$revenue", "$units"] }, 2],
+                      },
+                      minPrice: "$minPrice",
+                      maxPrice: "$maxPrice",
+                    },
+                  },
+                },
+              },
+              {
+                $project: { _id: 0, productId: "$_id", itemName: 1, points: 1 },
+              },
+              { $sort: { itemName: 1 } },
+            ])
+            .toArray();
+
+          res.json({ interval, products });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to compute price trends" });
+        }
+      }
+    );
+
+    // GET a monthly payout statement as JSON, CSV or PDF
+    app.get(
+      "/vendor/payouts/:month",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      async (req, res) => {
+        const vendorEmail = analyticsVendor(req);
+        const { month } = req.params;
+        const format = req.query.format || "json";
+
+        if (!vendorEmail) {
+          return res.status(400).json({ error: "vendor is required" });
+        }
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+          return res.status(400).json({ error: "month must be YYYY-MM" });
+        }
+        if (!["json", "csv", "pdf"].includes(format)) {
+          return res
+            .status(400)
+            .json({ error: "format must be json, csv or pdf" });
+        }
+
+        try {
+          const statement = await buildPayoutStatement(vendorEmail, month);
+          const filename = `payout-${month}`;
+
+          if (format === "csv") {
+            res.setHeader("Content-Type", "text/csv; charset=utf-8");
+            res.setHeader(
+              "Content-Disposition",
+              `attachment; filename="${filename}.csv"`
+            );
+            return res.send(payoutCsv(statement));
+          }
+
+          if (format === "pdf") {
+            res.setHeader("Content-Type", "application/pdf");
+            res.setHeader(
+              "Content-Disposition",
+              `attachment; filename="${filename}.pdf"`
+            );
+            return writePayoutPdf(statement, res);
+          }
+
+          res.json(statement);
+        } catch (err) {
+          res.status(500).json({ error: "Failed to build payout statement" });
+        }
+      }
+    );
+
+    // GET outbox messages, e.g. ?status=failed (admin)
+    app.get(
+      "/admin/mail-outbox",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const query = req.query.status ? { status: req.query.status } : {};
+
+        try {
+          const messages = await mailOutboxCollection
+            .find(query)
+            .project({ html: 0 })
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .toArray();
+          res.send(messages);
+        } catch (err) {
+          res.status(500).json({ error: "Failed to fetch mail outbox" });
+        }
+      }
+    );
+
+    // GET the latest approved price of an item at every market on a date
+    app.get("/compare", async (req, res) => {
+      const { item, date } = req.query;
+
+      if (!item) {
+        return res.status(400).json({ error: "item is required" });
+      }
+
+      if (date && !ISO_DATE_PATTERN.test(date)) {
+        return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+      }
+
+      const itemKey = normalizeItemKey(item);
+
+      // Observations up to the end of the requested day
+      const until = date ? new Date(`${date}T00:00:00.000Z`) : new Date();
+      if (date) until.setUTCDate(until.getUTCDate() + 1);
+
+      try {
+        const rows = await priceHistoryCollection
+          .aggregate([
+            { $match: { itemKey, date: { $lt: until } } },
+            {
+              $lookup: {
+                from: "products",
+                localField: "productId",
+                foreignField: "_id",
+                pipeline: [{ $project: { status: 1, marketArchived: 1 } }],
+                as: "product",
+              },
+            },
+            // Listings at deleted markets are left out
+            {
+              $match: {
+                "product.status": "approved",
+                "product.marketArchived": { $ne: true },
+              },
+            },
+            { $sort: { date: -1, recordedAt: -1 } },
+            // Latest and previous observation of each listing, so a change
+            // never compares one vendor's price with another's
+            {
+              $group: {
+                _id: "$productId",
+                marketName: { $first: "$marketName" },
+                latestDate: { $first: "$date" },
+                latestRecordedAt: { $first: "$recordedAt" },
+                observations: {
+                  $firstN: {
+                    n: 2,
+                    input: {
+                      pricePerUnit: "$pricePerUnit",
+                      date: "$date",
+                      itemName: "$itemName",
+                      vendorEmail: "$vendorEmail",
+                      productId: "$productId",
+                    },
+                  },
+                },
+              },
+            },
+            // The most recently observed listing stands for its market
+            { $sort: { latestDate: -1, latestRecordedAt: -1 } },
+            {
+              $group: {
+                _id: "$marketName",
+                observations: { $first: "$observations" },
+              },
+            },
+          ])
+          .toArray();
+
+        const markets = rows
+          .map(({ _id, observations: [latest, previous] }) => {
+            const change = previous
+              ? +(latest.pricePerUnit - previous.pricePerUnit).toFixed(2)
+              : null;
+
+            return {
+              marketName: _id,
+              ...latest,
+              previousPrice: previous ? previous.pricePerUnit : null,
+              previousDate: previous ? previous.date : null,
+              change,
+              changePct:
+                previous && previous.pricePerUnit
+                  ? +((change / previous.pricePerUnit) * 100).toFixed(2)
+                  : null,
+            };
+          })
+          .sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+
+        const cheapest = markets[0] || null;
+        const dearest = markets[markets.length - 1] || null;
+
+        res.json({
+          itemKey,
+          date: date || null,
+          markets,
+          cheapest,
+          dearest,
+          spread: cheapest
+            ? +(dearest.pricePerUnit - cheapest.pricePerUnit).toFixed(2)
+            : null,
+        });
+      } catch (err) {
+        res.status(500).json({ error: "Failed to compare prices" });
+      }
+    });
+
+    // GET the cheapest current offers of an item near a location
+    app.get("/cheapest-products", async (req, res) => {
+      const { item } = req.query;
+      const near = parseNear(req.query);
+      const limit = parseInt(req.query.limit) || 10;
+
+      if (!item || !near) {
+        return res
+          .status(400)
+          .json({ error: "item and near=lat,lng are required" });
+      }
+
+      if (near.error) {
+        return res.status(400).json({ error: near.error });
+      }
+
+      try {
+        const markets = await findMarketsNear(near);
+
+        const results = await productCollections
+          .aggregate([
+            {
+              $match: {
+                status: "approved",
+                itemKey: normalizeItemKey(item),
+                marketId: { $in: markets.map((market) => market._id) },
+              },
+            },
+            // Only each vendor's latest price at a market counts
+            { $sort: { date: -1, createdAt: -1 } },
+            {
+              $group: {
+                _id: { marketId: "$marketId", vendorEmail: "$vendorEmail" },
+                product: { $first: "$$ROOT" },
+              },
+            },
+            { $replaceRoot: { newRoot: "$product" } },
+            addMarketDistance(markets),
+            { $sort: { pricePerUnit: 1, distanceMiles: 1 } },
+            { $limit: limit },
+          ])
+          .toArray();
+
+        res.json({ item, radiusMiles: near.radiusMiles, results });
+      } catch (err) {
+        res.status(500).json({ error: "Failed to fetch cheapest products" });
+      }
+    });
+
+    // GET all markets, or those near=lat,lng within radius= miles
+    app.get("/markets", async (req, res) => {
+      const near = parseNear(req.query);
+      if (near?.error) {
+        return res.status(400).json({ error: near.error });
+      }
+
+      try {
+        const markets = near
+          ? await findMarketsNear(near)
+          : await marketCollections
+              .find({ deleted: false })
+              .sort({ name: 1 })
+              .toArray();
+        res.send(markets);
+      } catch (err) {
+        res.status(500).json({ error: "Failed to fetch markets" });
+      }
+    });
+
+    // GET single market
+    app.get("/markets/:id", async (req, res) => {
+      try {
+        const market = await marketCollections.findOne({
+          _id: new ObjectId(req.params.id),
+          deleted: false,
+        });
+
+        if (!market) {
+          return res.status(404).json({ error: "Market not found" });
+        }
+
+        res.send(market);
+      } catch (err) {
+        res.status(500).json({ error: "Failed to fetch the market" });
+      }
+    });
+
+    // GET all categories
+    app.get("/categories", async (req, res) => {
+      try {
+        const categories = await categoryCollections
+          .find({ deleted: false })
+          .sort({ name: 1 })
+          .toArray();
+        res.send(categories);
+      } catch (err) {
+        res.status(500).json({ error: "Failed to fetch categories" });
+      }
+    });
+
+    // GET single product
+    app.get(
+      "/single-product/:id",
+      verifyToken,
+      verifyRole("vendor", "admin", "user"),
+      async (req, res) => {
+        try {
+          const id = req.params.id;
+          const filter = { _id: new ObjectId(id) };
+          const products = await productCollections.findOne(filter);
+          res.send(products);
+        } catch (err) {
+          res.status(500).json({ error: "Failed to fetch the product" });
+        }
+      }
+    );
+
+    // GET advertisements by vendor
+    app.get(
+      "/my-advertisements",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      async (req, res) => {
+        let query = {};
+
+        // Vendors only see their own ads; admins may filter by vendor
+        if (req.user.role === "vendor") {
+          query = { adCreatedBy: req.decoded.email };
+        } else if (req.query.vendor) {
+          query = { adCreatedBy: req.query.vendor };
+        }
+
+        // Stats cover the whole campaign unless from/to are given
+        const { range, error } = analyticsRange(req.query);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const advertisements = await adCollections
+            .aggregate([
+              { $match: query },
+              { $sort: { createdAt: -1 } },
+              {
+                $lookup: {
+                  from: "adStats",
+                  localField: "_id",
+                  foreignField: "adId",
+                  pipeline: [
+                    ...(range ? [{ $match: { day: range } }] : []),
+                    {
+                      $group: {
+                        _id: null,
+                        impressions: { $sum: "$impressions" },
+                        clicks: { $sum: "$clicks" },
+                      },
+                    },
+                  ],
+                  as: "stats",
+                },
+              },
+            ])
+            .toArray();
+
+          res.send(
+            advertisements.map((ad) => {
+              const { impressions = 0, clicks = 0 } = ad.stats[0] || {};
+              return {
+                ...ad,
+                campaignStatus: campaignStatus(ad),
+                stats: {
+                  impressions,
+                  clicks,
+                  // Click-through rate
+                  ctr: impressions
+                    ? Math.round((clicks / impressions) * 10000) / 10000
+                    : 0,
+                },
+              };
+            })
+          );
+        } catch (err) {
+          res.status(500).json({ error: "Failed to fetch advertisements" });
+        }
+      }
+    );
+
+    // GET an ad's impressions and clicks per day
+    app.get(
+      "/my-advertisements/:id/stats",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      verifyOwnership(adCollections, "adCreatedBy"),
+      async (req, res) => {
+        const { range, error } = analyticsRange(req.query);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        try {
+          const days = await adStatsCollection
+            .find({ adId: req.resource._id, ...(range && { day: range }) })
+            .project({ _id: 0, day: 1, impressions: 1, clicks: 1 })
+            .sort({ day: 1 })
+            .toArray();
+
+          res.json({
+            campaignStatus: campaignStatus(req.resource),
+            days: days.map(({ day, impressions = 0, clicks = 0 }) => ({
+              day,
+              impressions,
+              clicks,
+            })),
+          });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to fetch ad stats" });
+        }
+      }
+    );
+
+    // Get Cart Products
+    app.get("/get-cart", verifyToken, async (req, res) => {
+      try {
+        // Fetch cart items for the user
+        const cartItems = await cartCollections
+          .find({ buyerEmail: req.decoded.email })
+          .toArray();
+
+        res.status(200).json(cartItems);
+      } catch (error) {
+        res.status(500).json({ message: "Internal Server Error" });
+      }
+    });
+
+    // Wishlist get API
+    app.get(
+      "/get-wishlist",
+      verifyToken,
+      verifyRole("user"),
+      async (req, res) => {
+        try {
+          // Get all wishlist items for the user
+          const wishlistItems = await wishCollections
+            .find({ email: req.decoded.email })
+            .toArray();
+
+          // Extract all product IDs
+          const productIds = wishlistItems.map(
+            (item) => new ObjectId(item.productId)
+          );
+
+          // Find all products that match those IDs
+          const products = await productCollections
+            .find({ _id: { $in: productIds } })
+            .toArray();
+          res.status(200).json(products);
+        } catch (error) {
+          res.status(500).json({ message: "Server error." });
+        }
+      }
+    );
+
+    // GET Comment API
+    app.get("/comments", verifyToken, async (req, res) => {
+      try {
+        const { productId } = req.query;
+        if (!productId)
+          return res.status(400).json({ error: "Missing productId" });
+
+        const comments = await commentsCollection
+          .find({ productId })
+          .sort({ date: -1 })
+          .toArray();
+
+        res.json(comments);
+      } catch (error) {
+        // console.error("GET /comments error:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+      }
+    });
+
+    // Get orders for admin: one row per order line, paginated by order
+    app.get(
+      "/admin/orders",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const options = listingOptions(req.query, 7);
+        if (options.error) {
+          return res.status(400).json({ error: options.error });
+        }
+
+        // Orders in every state unless a status is requested
+        const query = req.query.status ? { status: req.query.status } : {};
+
+        try {
+          const sortField = ORDER_SORT_FIELDS[options.sort];
+          const [totalOrders, rows] = await Promise.all([
+            paymentCollection.countDocuments(query),
+            paymentCollection
+              .aggregate([
+                { $match: query },
+                ...pageStages(options, sortField),
+                ...refundRequestLookup(),
+                {
+                  $addFields: {
+                    line: { $ifNull: ["$items", "$cartItems", []] },
+                  },
+                },
+                // Orders without lines are kept so the cursor can
+                // move past them
+                {
+                  $unwind: {
+                    path: "$line",
+                    includeArrayIndex: "lineIndex",
+                    preserveNullAndEmptyArrays: true,
+                  },
+                },
+                ...lineProductLookup({
+                  itemName: 1,
+                  vendorEmail: 1,
+                  vendorName: 1,
+                  image: 1,
+                  marketName: 1,
+                }),
+                {
+                  $project: {
+                    _id: { $ifNull: ["$product._id", "$line.productId"] },
+                    orderId: "$_id",
+                    sortKey: `$${sortField}`,
+                    lineIndex: 1,
+                    paymentIntentId: 1,
+                    price: { $ifNull: [linePrice, "$amount"] },
+                    buyerName: 1,
+                    buyerEmail: 1,
+                    buyerAddress: 1,
+                    status: 1,
+                    paidAt: 1,
+                    productId: "$line.productId",
+                    productName: {
+                      $ifNull: [
+                        "$product.itemName",
+                        "$line.itemName",
+                        "Unknown Product",
+                      ],
+                    },
+                    vendorEmail: {
+                      $ifNull: ["$product.vendorEmail", "N/A"],
+                    },
+                    vendorName: { $ifNull: ["$product.vendorName", "N/A"] },
+                    productImage: {
+                      $ifNull: ["$product.image", "$line.image", ""],
+                    },
+                    marketName: {
+                      $ifNull: ["$product.marketName", "Unknown Market"],
+                    },
+                    quantity: { $ifNull: ["$line.quantity", 1] },
+                    ...lineAmounts,
+                    ...lineFulfillment,
+                    amountRefunded: { $ifNull: ["$amountRefunded", 0] },
+                    refundRequest: 1,
+                  },
+                },
+              ])
+              .toArray(),
+          ]);
+
+          const pageOrders = new Set(rows.map((row) => String(row.orderId)));
+          const last = rows[rows.length - 1];
+
+          const orders = rows
+            .filter((row) => row.lineIndex !== null)
+            .map(({ sortKey, ...row }) => row);
+
+          res.json({
+            orders,
+            totalPages: Math.ceil(totalOrders / options.limit),
+            nextCursor:
+              pageOrders.size === options.limit
+                ? encodeCursor(last.sortKey, last.orderId)
+                : null,
+          });
+        } catch (error) {
+          res.status(500).json({ error: "Internal Server Error" });
+        }
+      }
+    );
+
+    // Get orders for vendors: one row per line of their sub-orders,
+    // paginated by sub-order
+    app.get(
+      "/vendor/orders",
+      verifyToken,
+      verifyRole("vendor"),
+      async (req, res) => {
+        const vendorEmail = req.decoded.email;
+        const options = listingOptions(req.query, 7);
+        if (options.error) {
+          return res.status(400).json({ error: options.error });
+        }
+
+        // Lines not yet moved have no fulfillmentStatus
+        const { fulfillment } = req.query;
+        const lineState =
+          fulfillment === "pending" ? { $in: [null, "pending"] } : fulfillment;
+
+        const query = {
+          vendorEmail,
+          status: {
+            $in: ["paid", "fulfilled", "partially_refunded", "refunded"],
+          },
+          ...(fulfillment && {
+            items: { $elemMatch: { fulfillmentStatus: lineState } },
+          }),
+        };
+        const sortField = SUB_ORDER_SORT_FIELDS[options.sort];
+
+        try {
+          const [totalOrders, orders] = await Promise.all([
+            subOrderCollections.countDocuments(query),
+            subOrderCollections
+              .aggregate([
+                { $match: query },
+                ...pageStages(options, sortField),
+                { $unwind: "$items" },
+                { $addFields: { line: "$items", lineIndex: "$items.index" } },
+                ...(fulfillment
+                  ? [{ $match: { "line.fulfillmentStatus": lineState } }]
+                  : []),
+                ...lineProductLookup({
+                  itemName: 1,
+                  vendorName: 1,
+                  image: 1,
+                  marketName: 1,
+                }),
+                ...refundRequestLookup("parentOrderId"),
+                {
+                  $project: {
+                    _id: {
+                      $concat: [
+                        { $toString: "$parentOrderId" },
+                        "-",
+                        { $toString: "$lineIndex" },
+                      ],
+                    },
+                    sortKey: `$${sortField}`,
+                    orderId: "$parentOrderId",
+                    subOrderId: "$_id",
+                    paymentIntentId: 1,
+                    price: { $ifNull: [linePrice, "$subtotal"] },
+                    buyerName: 1,
+                    buyerEmail: 1,
+                    buyerAddress: 1,
+                    status: 1,
+                    paidAt: 1,
+                    productId: "$line.productId",
+                    productName: {
+                      $ifNull: [
+                        "$product.itemName",
+                        "$line.itemName",
+                        "Unknown Product",
+                      ],
+                    },
+                    vendorEmail: vendorEmail,
+                    vendorName: {
+                      $ifNull: [
+                        "$product.vendorName",
+                        "$line.vendorName",
+                        "N/A",
+                      ],
+                    },
+                    productImage: {
+                      $ifNull: ["$product.image", "$line.image", ""],
+                    },
+                    marketName: {
+                      $ifNull: [
+                        "$product.marketName",
+                        "$line.marketName",
+                        "Unknown Market",
+                      ],
+                    },
+                    quantity: { $ifNull: ["$line.quantity", 1] },
+                    lineIndex: 1,
+                    ...lineAmounts,
+                    ...lineFulfillment,
+                    refundRequest: 1,
+                  },
+                },
+              ])
+              .toArray(),
+          ]);
+
+          const pageOrders = new Set(
+            orders.map((row) => String(row.subOrderId))
+          );
+          const last = orders[orders.length - 1];
+
+          res.json({
+            orders: orders.map(({ sortKey, ...order }) => order),
+            totalPages: Math.ceil(totalOrders / options.limit),
+            nextCursor:
+              pageOrders.size === options.limit
+                ? encodeCursor(last.sortKey, last.subOrderId)
+                : null,
+          });
+        } catch (error) {
+          res.status(500).json({ error: "Internal Server Error" });
+        }
+      }
+    );
+
+    // A vendor's sub-orders with subtotal, commission and payout. Admins
+    // see every vendor's, or one vendor's with ?vendor=.
+    app.get(
+      "/vendor/sub-orders",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      async (req, res) => {
+        const options = listingOptions(req.query, 10);
+        if (options.error) {
+          return res.status(400).json({ error: options.error });
+        }
+
+        const vendorEmail = analyticsVendor(req);
+        const query = {
+          ...(vendorEmail && { vendorEmail }),
+          ...(req.query.status && { status: req.query.status }),
+        };
+
+        const sortField = SUB_ORDER_SORT_FIELDS[options.sort];
+
+        try {
+          const [total, subOrders] = await Promise.all([
+            subOrderCollections.countDocuments(query),
+            subOrderCollections
+              .aggregate([{ $match: query }, ...pageStages(options, sortField)])
+              .toArray(),
+          ]);
+          const last = subOrders[subOrders.length - 1];
+
+          res.json({
+            subOrders,
+            totalPages: Math.ceil(total / options.limit),
+            nextCursor:
+              subOrders.length === options.limit
+                ? encodeCursor(last[sortField] ?? null, last._id)
+                : null,
+          });
+        } catch (error) {
+          res.status(500).json({ error: "Failed to fetch sub-orders" });
+        }
+      }
+    );
+
+    // One sub-order; vendors only load their own
+    app.get(
+      "/vendor/sub-orders/:id",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).json({ error: "Sub-order not found" });
+        }
+
+        const query = { _id: new ObjectId(req.params.id) };
+        if (req.user.role === "vendor") query.vendorEmail = req.decoded.email;
+
+        try {
+          const subOrder = await subOrderCollections.findOne(query);
+          if (!subOrder) {
+            return res.status(404).json({ error: "Sub-order not found" });
+          }
+          res.json(subOrder);
+        } catch (error) {
+          res.status(500).json({ error: "Failed to fetch sub-order" });
+        }
+      }
+    );
+
+    // Get order for users, 20 per page unless limit is set. The cursor
+    // for the next page comes in X-Next-Cursor.
+    app.get("/orders", verifyToken, verifyRole("user"), async (req, res) => {
+      const options = listingOptions(req.query, 20);
+      if (options.error) {
+        return res.status(400).json({ error: options.error });
+      }
+
+      try {
+        const email = req.decoded.email;
+        const sortField = ORDER_SORT_FIELDS[options.sort];
+
+        const payments = await paymentCollection
+          .aggregate([
+            { $match: { buyerEmail: email } },
+            ...pageStages(options, sortField),
+            ...refundRequestLookup(),
+            {
+              $addFields: { lines: { $ifNull: ["$items", "$cartItems", []] } },
+            },
+            // One lookup for all products of the order
+            {
+              $lookup: {
+                from: "products",
+                let: {
+                  ids: {
+                    $map: {
+                      input: "$lines",
+                      as: "line",
+                      in: {
+                        $convert: {
+                          input: "$$line.productId",
+                          to: "objectId",
+                          onError: null,
+                          onNull: null,
+                        },
+                      },
+                    },
+                  },
+                },
+                pipeline: [
+                  { $match: { $expr: { $in: ["$_id", "$$ids"] } } },
+                  { $project: { itemName: 1, marketName: 1, image: 1 } },
+                ],
+                as: "products",
+              },
+            },
+            {
+              $project: {
+                sortKey: `$${sortField}`,
+                buyer: "$buyerName",
+                email: "$buyerEmail",
+                status: 1,
+                createdAt: 1,
+                paidAt: 1,
+                amountRefunded: { $ifNull: ["$amountRefunded", 0] },
+                discount: 1,
+                refundRequest: 1,
+                fulfillmentStatus: 1,
+                statusHistory: 1,
+                items: {
+                  $map: {
+                    input: "$lines",
+                    as: "item",
+                    in: {
+                      $let: {
+                        vars: {
+                          product: {
+                            $first: {
+                              $filter: {
+                                input: "$products",
+                                cond: {
+                                  $eq: [
+                                    { $toString: "$$this._id" },
+                                    { $toString: "$$item.productId" },
+                                  ],
+                                },
+                              },
+                            },
+                          },
+                        },
+                        in: {
+                          product_id: "$$item.productId",
+                          price: toNumber(
+                            {
+                              $ifNull: ["$$item.price", "$$item.pricePerUnit"],
+                            },
+                            0
+                          ),
+                          quantity: { $ifNull: ["$$item.quantity", 1] },
+                          discount: { $ifNull: ["$$item.discount", 0] },
+                          refundedQuantity: {
+                            $ifNull: ["$$item.refundedQuantity", 0],
+                          },
+                          fulfillmentStatus: {
+                            $ifNull: ["$$item.fulfillmentStatus", "pending"],
+                          },
+                          fulfillmentHistory: {
+                            $ifNull: ["$$item.fulfillmentHistory", []],
+                          },
+                          productName: {
+                            $ifNull: [
+                              "$$product.itemName",
+                              "$$item.itemName",
+                              "Unknown",
+                            ],
+                          },
+                          marketName: {
+                            $ifNull: ["$$product.marketName", "Unknown"],
+                          },
+                          productImage: {
+                            $ifNull: ["$$product.image", "$$item.image", "N/A"],
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          ])
+          .toArray();
+
+        const orders = payments.map(
+          ({ sortKey, statusHistory, items: lines, ...order }) => {
+            // Order states and line updates in the order they happened
+            const timeline = [
+              ...(statusHistory || []).map(({ status, at }) => ({
+                status,
+                at,
+              })),
+              ...lines.flatMap(({ productName, fulfillmentHistory }) =>
+                fulfillmentHistory.map((event) => ({ ...event, productName }))
+              ),
+            ].sort((a, b) => a.at - b.at);
+
+            const items = lines.map(({ fulfillmentHistory, ...item }) => item);
+
+            if (items.length === 0) return { ...order, timeline };
+
+            // What the buyer paid, after any coupon discount
+            const totalAmount = roundMoney(
+              items.reduce(
+                (sum, item) => sum + item.price * item.quantity - item.discount,
+                0
+              )
+            );
+
+            const { buyer, email, status, createdAt, paidAt } = order;
+            return {
+              _id: order._id,
+              items,
+              totalAmount,
+              buyer,
+              email,
+              status,
+              createdAt,
+              paidAt,
+              discount: order.discount,
+              amountRefunded: order.amountRefunded,
+              refundRequest: order.refundRequest,
+              fulfillmentStatus: order.fulfillmentStatus,
+              timeline,
+              type: items.length > 1 ? "multiple" : "single",
+            };
+          }
+        );
+
+        const last = payments[payments.length - 1];
+        if (options.limit && payments.length === options.limit) {
+          res.setHeader("X-Next-Cursor", encodeCursor(last.sortKey, last._id));
+        }
+
+        res.json(orders);
+      } catch (error) {
+        res.status(500).json({ error: "Internal Server Error" });
+      }
+    });
+
+    // Coupons: admins see all, vendors their own
+    app.get(
+      "/coupons",
+      verifyToken,
+      verifyRole("admin", "vendor"),
+      async (req, res) => {
+        const options = listingOptions(req.query, 10);
+        if (options.error) {
+          return res.status(400).json({ error: options.error });
+        }
+
+        const query = {};
+        if (req.user.role === "vendor") query.createdBy = req.decoded.email;
+        if (req.query.status) query.status = req.query.status;
+
+        const sortField = COUPON_SORT_FIELDS[options.sort];
+
+        try {
+          const [total, coupons] = await Promise.all([
+            couponCollections.countDocuments(query),
+            couponCollections
+              .aggregate([{ $match: query }, ...pageStages(options, sortField)])
+              .toArray(),
+          ]);
+          const last = coupons[coupons.length - 1];
+
+          res.json({
+            coupons,
+            totalPages: Math.ceil(total / options.limit),
+            nextCursor:
+              coupons.length === options.limit
+                ? encodeCursor(last[sortField] ?? null, last._id)
+                : null,
+          });
+        } catch (error) {
+          res.status(500).json({ error: "Failed to fetch coupons" });
+        }
+      }
+    );
+
+    // Refund requests: buyers see their own, vendors those touching their
+    // lines and admins all of them
+    app.get(
+      "/refund-requests",
+      verifyToken,
+      verifyRole("admin", "vendor", "user"),
+      async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+        const query = {};
+        if (req.user.role === "user") query.buyerEmail = req.decoded.email;
+        if (req.user.role === "vendor") query.vendorEmails = req.decoded.email;
+        if (req.query.status) query.status = req.query.status;
+
+        try {
+          const [requests, total] = await Promise.all([
+            refundRequestCollections
+              .find(query)
+              .sort({ createdAt: -1 })
+              .skip((page - 1) * limit)
+              .limit(limit)
+              .toArray(),
+            refundRequestCollections.countDocuments(query),
+          ]);
+
+          res.json({ requests, totalPages: Math.ceil(total / limit) });
+        } catch (error) {
+          res.status(500).json({ error: "Failed to fetch refund requests" });
+        }
+      }
+    );
+
+    // Get the ads running now in a random order weighted by weight.
+    // ?placement= and ?category= pick a slot, ?limit= caps the count.
+    app.get("/get-ads", async (req, res) => {
+      const { placement, category } = req.query;
+      const limit = parseInt(req.query.limit) || 0;
+
+      if (placement && !AD_PLACEMENTS.includes(placement)) {
+        return res
+          .status(400)
+          .json({ message: `placement must be ${AD_PLACEMENTS.join(" or ")}` });
+      }
+
+      try {
+        const ads = await adCollections
+          .aggregate([
+            { $match: runningAdsQuery({ placement, category }) },
+            // ln(u) / weight is closer to zero for heavier ads
+            {
+              $addFields: {
+                rotation: {
+                  $divide: [
+                    { $ln: { $subtract: [1, { $rand: {} }] } },
+                    { $ifNull: ["$weight", 1] },
+                  ],
+                },
+              },
+            },
+            { $sort: { rotation: -1 } },
+            ...(limit > 0 ? [{ $limit: limit }] : []),
+            { $project: { rotation: 0 } },
+          ])
+          .toArray();
+        res.json(ads);
+      } catch (error) {
+        res.status(500).json({ message: "Internal Server Error" });
+      }
+    });
+
+    // Get vendor applications - admin only
+    app.get(
+      "/vendor-requests",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        try {
+          const vendorRequests = await vendorsCollection
+            .find({})
+            .sort({ createdAt: -1 })
+            .toArray();
+
+          res.status(200).json(vendorRequests);
+        } catch (err) {
+          res.status(500).json({ message: "Internal server error" });
+        }
+      }
+    );
+
+    // =============================POST API=============================
+
+    // Single-use ticket for opening /events, valid for a minute
+    app.post(
+      "/events/ticket",
+      verifyToken,
+      verifyRole("user", "vendor", "admin"),
+      async (req, res) => {
+        try {
+          const ticket = crypto.randomBytes(32).toString("hex");
+          await streamTicketCollections.insertOne({
+            ticketHash: hashToken(ticket),
+            email: req.decoded.email,
+            tokenExpiresAt: req.decoded.exp,
+            expiresAt: new Date(Date.now() + 60 * 1000),
+            createdAt: new Date(),
+          });
+          res.status(201).json({ ticket, expiresIn: 60 });
+        } catch (error) {
+          res.status(500).json({ error: "Failed to issue stream ticket" });
+        }
+      }
+    );
+
+    // JWT Implementation: exchange a Firebase ID token for our tokens
+    app.post("/jwt", async (req, res) => {
+      const { idToken } = req.body ?? {};
+
+      if (typeof idToken !== "string" || !idToken) {
+        return res.status(400).send({ message: "idToken is required" });
+      }
+
+      let decoded;
+      try {
+        decoded = await app.locals.verifyIdToken(idToken);
+      } catch (err) {
+        return res.status(401).send({ message: "Invalid Firebase ID token" });
+      }
+
+      if (!decoded.email) {
+        return res
+          .status(401)
+          .send({ message: "Firebase account has no email" });
+      }
+
+      // Anyone can sign up with someone else's address; only a verified
+      // email proves ownership
+      if (decoded.email_verified !== true) {
+        return res
+          .status(401)
+          .send({ message: "Firebase email is not verified" });
+      }
+
+      try {
+        res.send(await issueTokens(decoded.email));
+      } catch (err) {
+        res.status(500).send({ message: "Failed to issue tokens" });
+      }
+    });
+
+    // Rotate a refresh token. Presenting a token that was already rotated
+    // means it leaked, so the whole session is revoked.
+    app.post("/jwt/refresh", async (req, res) => {
+      const { refreshToken } = req.body ?? {};
+
+      if (typeof refreshToken !== "string" || !refreshToken) {
+        return res.status(400).send({ message: "refreshToken is required" });
+      }
+
+      try {
+        const tokenHash = hashToken(refreshToken);
+        const stored = await refreshTokenCollection.findOne({ tokenHash });
+
+        if (!stored || stored.expiresAt < new Date()) {
+          return res.status(401).send({ message: "Invalid refresh token" });
+        }
+
+        const claimed = await refreshTokenCollection.findOneAndUpdate(
+          { _id: stored._id, revokedAt: null },
+          { $set: { revokedAt: new Date(), rotatedAt: new Date() } }
+        );
+
+        if (!claimed) {
+          await revokeRefreshTokens({ family: stored.family });
+          return res.status(401).send({ message: "Refresh token reused" });
+        }
+
+        res.send(await issueTokens(stored.email, stored.family));
+      } catch (err) {
+        res.status(500).send({ message: "Failed to refresh token" });
+      }
+    });
+
+    // Logout: revoke the session the refresh token belongs to
+    app.post("/logout", async (req, res) => {
+      const { refreshToken } = req.body ?? {};
+
+      if (typeof refreshToken !== "string" || !refreshToken) {
+        return res.status(400).send({ message: "refreshToken is required" });
+      }
+
+      try {
+        const stored = await refreshTokenCollection.findOne({
+          tokenHash: hashToken(refreshToken),
+        });
+
+        if (stored) {
+          await revokeRefreshTokens({ family: stored.family });
+        }
+
+        res.send({ message: "Logged out" });
+      } catch (err) {
+        res.status(500).send({ message: "Logout failed" });
+      }
+    });
+
+    // Logout from every device
+    app.post("/logout-all", verifyToken, async (req, res) => {
+      try {
+        const result = await revokeRefreshTokens({ email: req.decoded.email });
+        res.send({ revoked: result.modifiedCount });
+      } catch (err) {
+        res.status(500).send({ message: "Logout failed" });
+      }
+    });
+
+    // Revoke every session of a user (admin)
+    app.post(
+      "/users/:id/revoke-tokens",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        try {
+          const user = await usersCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+
+          if (!user) {
+            return res.status(404).send({ message: "User not found" });
+          }
+
+          const result = await revokeRefreshTokens({ email: user.email });
+          await recordAudit(
+            req,
+            "user.revoke_tokens",
+            { type: "user", id: user._id },
+            null,
+            { tokensRevoked: result.modifiedCount }
+          );
+          res.send({ revoked: result.modifiedCount });
+        } catch (err) {
+          res.status(500).send({ message: "Failed to revoke tokens" });
+        }
+      }
+    );
+
+    // Sending users to DB
+    app.post("/register", async (req, res) => {
+      try {
+        const { name, email, photo } = req.body;
+        const existingUser = await usersCollection.findOne({ email });
+
+        if (existingUser) {
+          return res.status(400).send({ error: "User already exists" });
+        }
+
+        const newUser = {
+          name,
+          email,
+          photo,
+          role: "user",
+          createdAt: new Date(),
+          lastSignedIn: new Date(),
+        };
+
+        const result = await usersCollection.insertOne(newUser);
+        res.status(201).send(result);
+      } catch (error) {
+        res.status(500).send({ error: "Registration failed" });
+      }
+    });
+
+    // Apply to become a vendor
+    app.post(
+      "/vendors/apply",
+      verifyToken,
+      verifyRole("user"),
+      validateBody(VENDOR_APPLICATION_SCHEMA),
+      async (req, res) => {
+        try {
+          const vendorData = req.body;
+          const data = {
+            ...vendorData,
+            email: req.decoded.email,
+            vendor_status: "pending",
+            createdAt: new Date(),
+          };
+
+          const result = await vendorsCollection.insertOne(data);
+          await notifyAdmins("vendor_application", {
+            title: "New vendor application",
+            message: `${data.name} applied with ${data.shopName}.`,
+            data: { vendorId: String(result.insertedId) },
+          });
+          res.status(201).send(result);
+        } catch (err) {
+          res
+            .status(403)
+            .json({ message: "Server error. Please try again later." });
+        }
+      }
+    );
+
+    // Add Products API
+    app.post(
+      "/add-products",
+      verifyToken,
+      verifyRole("vendor"),
+      validateBody(PRODUCT_SCHEMA),
+      async (req, res) => {
+        try {
+          const productData = req.body;
+
+          const refErrors = await resolveProductRefs(productData);
+          if (refErrors) {
+            return res
+              .status(400)
+              .json({ error: "Validation failed", details: refErrors });
+          }
+
+          const data = {
+            ...productData,
+            itemKey: normalizeItemKey(productData.itemName),
+            vendorEmail: req.decoded.email,
+            status: "pending",
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          };
+
+          if (productData.stock !== undefined) {
+            data.reservedStock = 0;
+          }
+
+          const result = await productCollections.insertOne(data);
+          await notifyAdmins("product_pending", {
+            title: "Product awaiting review",
+            message: `${data.itemName} was submitted by ${data.vendorEmail}.`,
+            data: { productId: String(result.insertedId) },
+          });
+          await recordPriceObservation(
+            { ...data, _id: result.insertedId },
+            data.date
+          );
+          res.status(201).send(result);
+        } catch (error) {
+          res.status(500).json({ message: "Server error" });
+        }
+      }
+    );
+
+    // Add a market (admin)
+    app.post(
+      "/markets",
+      verifyToken,
+      verifyRole("admin"),
+      validateBody(MARKET_SCHEMA),
+      async (req, res) => {
+        try {
+          const market = {
+            ...toMarketDoc(req.body),
+            deleted: false,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          };
+
+          const result = await marketCollections.insertOne(market);
+          await recordAudit(
+            req,
+            "market.create",
+            { type: "market", id: result.insertedId },
+            null,
+            market
+          );
+          res.status(201).send(result);
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.status(409).json({ error: "Market already exists" });
+          }
+          res.status(500).json({ error: "Failed to add market" });
+        }
+      }
+    );
+
+    // Add a category (admin)
+    app.post(
+      "/categories",
+      verifyToken,
+      verifyRole("admin"),
+      validateBody(CATEGORY_SCHEMA),
+      async (req, res) => {
+        try {
+          const category = {
+            ...req.body,
+            slug: slugify(req.body.name),
+            deleted: false,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          };
+
+          const result = await categoryCollections.insertOne(category);
+          await recordAudit(
+            req,
+            "category.create",
+            { type: "category", id: result.insertedId },
+            null,
+            category
+          );
+          res.status(201).send(result);
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.status(409).json({ error: "Category already exists" });
+          }
+          res.status(500).json({ error: "Failed to add category" });
+        }
+      }
+    );
+
+    // One-off migration: turn the free-text marketName of existing
+    // products into market records and link the products to them (admin)
+    app.post(
+      "/admin/migrations/markets",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        try {
+          const names = await productCollections.distinct("marketName", {
+            marketId: { $exists: false },
+            marketName: { $type: "string", $ne: "" },
+          });
+
+          let marketsCreated = 0;
+          let productsLinked = 0;
+
+          for (const name of names) {
+            const slug = slugify(name);
+            if (!slug) continue;
+
+            const existing = await marketCollections.findOne({
+              slug,
+              deleted: false,
+            });
+
+            let market = existing;
+            if (!market) {
+              market = {
+                name: name.trim(),
+                slug,
+                deleted: false,
+                migrated: true,
+                createdAt: new Date(),
+                updatedAt: new Date(),
+              };
+              const result = await marketCollections.insertOne(market);
+              market._id = result.insertedId;
+              marketsCreated++;
+            }
+
+            const result = await productCollections.updateMany(
+              { marketName: name, marketId: { $exists: false } },
+              { $set: { marketId: market._id, marketName: market.name } }
+            );
+            productsLinked += result.modifiedCount;
+          }
+
+          await recordAudit(
+            req,
+            "migration.markets",
+            { type: "migration", id: "markets" },
+            null,
+            { marketsCreated, productsLinked }
+          );
+          res.json({ marketsCreated, productsLinked });
+        } catch (error) {
+          res.status(500).json({ error: "Migration failed" });
+        }
+      }
+    );
+
+    // Create a price alert
+    app.post(
+      "/alerts",
+      verifyToken,
+      validateBody(PRICE_ALERT_SCHEMA),
+      async (req, res) => {
+        const { productId, itemName, marketName, type, threshold } = req.body;
+
+        if (!productId && !itemName) {
+          return res
+            .status(400)
+            .json({ error: "Either productId or itemName is required" });
+        }
+
+        if (type === "change_pct" && threshold <= 0) {
+          return res
+            .status(400)
+            .json({ error: "A change alert needs a threshold above 0" });
+        }
+
+        try {
+          // Unset fields are left out: the validator rejects nulls, and
+          // a missing marketName means every market
+          const alert = {
+            email: req.decoded.email,
+            ...(itemName && {
+              itemName,
+              itemKey: normalizeItemKey(itemName),
+            }),
+            ...(marketName && { marketName }),
+            type,
+            threshold,
+            delivery: req.body.delivery || "instant",
+            status: "active",
+            lastPrices: {},
+            createdAt: new Date(),
+          };
+
+          // A product alert starts from the product's current price
+          if (productId) {
+            const product = await productCollections.findOne({
+              _id: new ObjectId(productId),
+              status: "approved",
+            });
+            if (!product) {
+              return res.status(404).json({ error: "Product not found" });
+            }
+            alert.productId = productId;
+            alert.itemName = product.itemName;
+            alert.itemKey = normalizeItemKey(product.itemName);
+            alert.marketName = product.marketName;
+            alert.lastPrices = {
+              [productId]: parseFloat(product.pricePerUnit),
+            };
+          }
+
+          const result = await priceAlertCollections.insertOne(alert);
+          res.status(201).send({ ...alert, _id: result.insertedId });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to create alert" });
+        }
+      }
+    );
+
+    // Backfill itemKey on products and price history (admin)
+    app.post(
+      "/admin/migrations/item-keys",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        try {
+          // Keys are recomputed for every name, so the migration also
+          // repairs keys written before a normalization rule changed
+          const rekey = async (collection) => {
+            let updated = 0;
+            for (const name of await collection.distinct("itemName")) {
+              if (typeof name !== "string") continue;
+              const itemKey = normalizeItemKey(name);
+              const result = await collection.updateMany(
+                { itemName: name, itemKey: { $ne: itemKey } },
+                { $set: { itemKey } }
+              );
+              updated += result.modifiedCount;
+            }
+            return updated;
+          };
+
+          const productsUpdated = await rekey(productCollections);
+          const observationsUpdated = await rekey(priceHistoryCollection);
+          const alertsUpdated = await rekey(priceAlertCollections);
+
+          await recordAudit(
+            req,
+            "migration.item_keys",
+            { type: "migration", id: "item-keys" },
+            null,
+            { productsUpdated, observationsUpdated, alertsUpdated }
+          );
+          res.json({ productsUpdated, observationsUpdated, alertsUpdated });
+        } catch (error) {
+          res.status(500).json({ error: "Migration failed" });
+        }
+      }
+    );
+
+    // Split orders into sub-orders, one batch per call in _id order. Pass
+    // the returned nextCursor as ?cursor= until it comes back null.
+    // ?stale=true only rebuilds orders whose sub-order sync failed.
+    app.post(
+      "/admin/migrations/sub-orders",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const { cursor, stale } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 500, 1000);
+
+        if (cursor && !ObjectId.isValid(cursor)) {
+          return res.status(400).json({ error: "Invalid cursor" });
+        }
+
+        try {
+          const query = {
+            ...(cursor && { _id: { $gt: new ObjectId(cursor) } }),
+            ...(stale === "true" && { subOrdersStale: true }),
+          };
+          const orders = await paymentCollection
+            .find(query)
+            .sort({ _id: 1 })
+            .limit(limit)
+            .toArray();
+
+          // Rebuilding is idempotent, so a batch can safely be run again
+          for (const order of orders) {
+            await writeSubOrders(order);
+          }
+
+          const ordersSplit = orders.length;
+          const nextCursor =
+            ordersSplit === limit ? String(orders[ordersSplit - 1]._id) : null;
+
+          await recordAudit(
+            req,
+            "migration.sub_orders",
+            { type: "migration", id: "sub-orders" },
+            null,
+            { ordersSplit, cursor: cursor || null, nextCursor }
+          );
+          res.json({ ordersSplit, nextCursor });
+        } catch (error) {
+          res.status(500).json({ error: "Migration failed" });
+        }
+      }
     );
 
-    // GET Comment API
-    app.get("/comments", verifyToken, verifyTokenEmail, async (req, res) => {
-      try {
-        const { productId } = req.query;
-        if (!productId)
-          return res.status(400).json({ error: "Missing productId" });
+    // Add Advertisement API
+    app.post(
+      "/advertisements",
+      verifyToken,
+      verifyRole("vendor"),
+      validateBody(AD_SCHEMA),
+      async (req, res) => {
+        const windowError = adWindowError(req.body);
+        if (windowError) {
+          return res.status(400).json({ error: windowError });
+        }
 
-        const comments = await commentsCollection
-          .find({ productId })
-          .sort({ date: -1 })
-          .toArray();
+        try {
+          // The weight is set by an admin on approval
+          const { weight, ...formData } = req.body;
 
-        res.json(comments);
+          const data = {
+            ...formData,
+            adCreatedBy: req.decoded.email,
+            status: "pending",
+            createdAt: new Date(),
+          };
+
+          const result = await adCollections.insertOne(data);
+          await notifyAdmins("ad_pending", {
+            title: "Advertisement awaiting review",
+            message: `${data.title} was submitted by ${data.adCreatedBy}.`,
+            data: { adId: String(result.insertedId) },
+          });
+          res.status(201).send(result);
+        } catch (error) {
+          res.status(500).send({ error: "Something went wrong" });
+        }
+      }
+    );
+
+    // Count an ad being shown or clicked. Only running ads are counted,
+    // and repeats from the same client within the window are ignored.
+    app.post("/ads/:id/impressions", async (req, res) => {
+      try {
+        if (!(await recordAdEvent(req.params.id, "impressions", req.ip))) {
+          return res.status(404).json({ error: "Advertisement not found" });
+        }
+        res.status(204).end();
       } catch (error) {
-        // console.error("GET /comments error:", error);
-        res.status(500).json({ error: "Internal Server Error" });
+        res.status(500).json({ error: "Failed to record impression" });
       }
     });
 
-    // Get orders for admin
-    app.get(
-      "/admin/orders",
+    app.post("/ads/:id/clicks", async (req, res) => {
+      try {
+        if (!(await recordAdEvent(req.params.id, "clicks", req.ip))) {
+          return res.status(404).json({ error: "Advertisement not found" });
+        }
+        res.status(204).end();
+      } catch (error) {
+        res.status(500).json({ error: "Failed to record click" });
+      }
+    });
+
+    // Wishlist post API
+    app.post(
+      "/wishlist",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("admin"),
+      validateBody(WISHLIST_SCHEMA),
       async (req, res) => {
         try {
-          const page = parseInt(req.query.page) || 1;
-          const limit = parseInt(req.query.limit) || 7;
-          const skip = (page - 1) * limit;
+          const { productId } = req.body;
+          const email = req.decoded.email;
 
-          // Fetch paid payments with pagination
-          const payments = await paymentCollection
-            .find({ status: "paid" })
-            .skip(skip)
-            .limit(limit)
+          // Check if this product already exists in the user's wishlist
+          const alreadyExists = await wishCollections.findOne({
+            email,
+            productId,
+          });
+
+          if (alreadyExists) {
+            return res
+              .status(409)
+              .json({ message: "Already added to wishlist." });
+          }
+
+          const result = await wishCollections.insertOne({
+            email,
+            productId,
+            createdAt: new Date(),
+          });
+
+          res.send(result);
+        } catch (error) {
+          res.status(500).json({ message: "Server error" });
+        }
+      }
+    );
+
+    // Add To Cart Post API
+    app.post(
+      "/cart",
+      verifyToken,
+      validateBody(CART_ITEM_SCHEMA),
+      async (req, res) => {
+        try {
+          const { productId } = req.body;
+          const buyerEmail = req.decoded.email;
+
+          // Check if product already exists
+          const existingItem = await cartCollections.findOne({
+            buyerEmail,
+            productId,
+          });
+
+          const product = await productCollections.findOne({
+            _id: new ObjectId(productId),
+            status: "approved",
+          });
+
+          if (!product) {
+            return res.status(404).json({ message: "Product not found" });
+          }
+
+          // Refuse to put more in the cart than is available
+          if ((existingItem?.quantity || 0) + 1 > availableStock(product)) {
+            return res.status(409).json({ message: "Not enough stock" });
+          }
+
+          if (existingItem) {
+            // Update quantity if already in cart
+            await cartCollections.updateOne(
+              { _id: existingItem._id },
+              { $inc: { quantity: 1 } }
+            );
+            return res
+              .status(200)
+              .json({ message: "Cart updated successfully" });
+          } else {
+            // Details come from the product, not the client. Missing ones
+            // are left out rather than stored as null, which the cart
+            // validator rejects.
+            const price = parseFloat(product.pricePerUnit);
+            const newCartItem = {
+              productId,
+              ...(product.itemName && { itemName: product.itemName }),
+              ...(!isNaN(price) && { pricePerUnit: price }),
+              ...(product.image && { image: product.image }),
+              buyerEmail,
+              quantity: 1,
+              createdAt: new Date(),
+            };
+
+            await cartCollections.insertOne(newCartItem);
+            return res.status(201).json({ message: "Product added to cart" });
+          }
+        } catch (error) {
+          res.status(500).json({ message: "Internal Server Error" });
+        }
+      }
+    );
+
+    // Checkout Form: snapshot the cart into a pending order
+    app.post(
+      "/create-order",
+      verifyToken,
+      verifyRole("user"),
+      validateBody(CHECKOUT_SCHEMA),
+      async (req, res) => {
+        try {
+          const buyerEmail = req.decoded.email;
+          const { buyerName, couponCode } = req.body;
+
+          // Fetch cart items for this user
+          const cartItems = await cartCollections
+            .find({ buyerEmail })
             .toArray();
 
-          const totalOrders = await paymentCollection.countDocuments({
-            status: "paid",
+          if (!cartItems || cartItems.length === 0) {
+            return res.status(400).json({ message: "Cart is empty" });
+          }
+
+          const result = await createOrder({
+            buyerEmail,
+            buyerName,
+            items: cartItems,
+            source: "cart",
+            couponCode,
           });
 
-          // Build order details with products
-          const orders = [];
+          if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+          }
 
-          for (const payment of payments) {
-            for (const item of payment.items) {
-              const productObjectId =
-                typeof item.productId === "string"
-                  ? new ObjectId(item.productId)
-                  : item.productId;
+          res.status(201).json({
+            insertedId: result.order._id,
+            orderId: result.order._id,
+            amount: result.order.amount,
+            clientSecret: result.clientSecret,
+          });
+        } catch (error) {
+          res.status(500).json({ message: "Failed to create order" });
+        }
+      }
+    );
 
-              const product = await productCollections.findOne({
-                _id: productObjectId,
-              });
+    // POST Comment API
+    app.post(
+      "/comments",
+      verifyToken,
+      validateBody(COMMENT_SCHEMA),
+      async (req, res) => {
+        try {
+          const { productId, userName, rating, comment, date } = req.body;
+          const userEmail = req.decoded.email;
 
-              orders.push({
-                _id: product._id,
-                orderId: payment._id,
-                paymentIntentId: payment.paymentIntentId,
-                price: item.price || item.pricePerUnit || payment.amount,
-                buyerName: payment.buyerName,
-                buyerEmail: payment.buyerEmail,
-                buyerAddress: payment.buyerAddress,
-                status: payment.status,
-                paidAt: payment.paidAt,
-                productId: item.productId,
-                productName:
-                  product?.itemName || item.itemName || "Unknown Product",
-                vendorEmail: product?.vendorEmail || "N/A",
-                vendorName: product?.vendorName || "N/A",
-                productImage: product?.image || item.image || "",
-                marketName: product?.marketName || "Unknown Market",
-                quantity: item.quantity || 1,
-              });
-            }
+          const newComment = {
+            productId,
+            userEmail,
+            userName,
+            rating,
+            comment,
+            date,
+          };
+
+          const result = await commentsCollection.insertOne(newComment);
+
+          res.status(201).json({
+            _id: result.insertedId,
+            ...newComment,
+          });
+        } catch (error) {
+          // console.error("POST /comments error:", error);
+          res.status(500).json({ error: "Internal Server Error" });
+        }
+      }
+    );
+
+    // Payment Intent for a single product
+    app.post(
+      "/create-payment-intent",
+      verifyToken,
+      verifyRole("user"),
+      validateBody(PAYMENT_INTENT_SCHEMA),
+      async (req, res) => {
+        try {
+          const { productId, buyerName, couponCode } = req.body;
+          const quantity = req.body.quantity || 1;
+
+          // The price is always taken from the product, never the request
+          const result = await createOrder({
+            buyerEmail: req.decoded.email,
+            buyerName,
+            items: [{ productId, quantity }],
+            source: "direct",
+            couponCode,
+          });
+
+          if (result.error) {
+            return res.status(result.status).json({ error: result.error });
           }
 
+          // Return client secret for front-end payment confirmation
           res.json({
-            orders,
-            totalPages: Math.ceil(totalOrders / limit),
+            clientSecret: result.clientSecret,
+            orderId: result.order._id,
+            amount: result.order.amount,
           });
         } catch (error) {
           res.status(500).json({ error: "Internal Server Error" });
@@ -431,1059 +6300,1704 @@ async function run() {
       }
     );
 
-    // Get orders for vendors
-    app.get(
-      "/vendor/orders",
+    // Cart Payment Intent: the order is snapshotted from the stored cart
+    app.post(
+      "/create-payment-intent-cart",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("vendor"),
+      verifyRole("user"),
+      validateBody(CHECKOUT_SCHEMA),
+      async (req, res) => {
+        const buyerEmail = req.decoded.email;
+        const { buyerName, couponCode } = req.body;
+
+        try {
+          const cartItems = await cartCollections
+            .find({ buyerEmail })
+            .toArray();
+
+          if (cartItems.length === 0) {
+            return res.status(400).json({ error: "Cart is empty." });
+          }
+
+          const result = await createOrder({
+            buyerEmail,
+            buyerName,
+            items: cartItems,
+            source: "cart",
+            couponCode,
+          });
+
+          if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+          }
+
+          res.status(200).json({
+            clientSecret: result.clientSecret,
+            orderId: result.order._id,
+            amount: result.order.amount,
+          });
+        } catch (error) {
+          res.status(500).json({
+            error: "Internal server error. Could not create payment intent.",
+          });
+        }
+      }
+    );
+
+    // Create a coupon (admin or vendor)
+    app.post(
+      "/coupons",
+      verifyToken,
+      verifyRole("admin", "vendor"),
+      validateBody(COUPON_SCHEMA),
+      async (req, res) => {
+        try {
+          const result = await couponFields(req, req.body);
+          if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+          }
+
+          const coupon = {
+            ...result.fields,
+            code: result.fields.code.toUpperCase(),
+            status: result.fields.status || "active",
+            redemptions: 0,
+            createdBy: req.decoded.email,
+            createdByRole: req.user.role,
+            createdAt: new Date(),
+          };
+
+          try {
+            const inserted = await couponCollections.insertOne(coupon);
+            coupon._id = inserted.insertedId;
+          } catch (error) {
+            if (error.code === 11000) {
+              return res.status(409).json({ error: "Coupon code is taken" });
+            }
+            throw error;
+          }
+
+          await recordAudit(
+            req,
+            "coupon.create",
+            { type: "coupon", id: coupon._id },
+            null,
+            coupon
+          );
+          res.status(201).json(coupon);
+        } catch (error) {
+          res.status(500).json({ error: "Failed to create coupon" });
+        }
+      }
+    );
+
+    // What a coupon would take off the buyer's cart
+    app.post(
+      "/coupons/preview",
+      verifyToken,
+      verifyRole("user"),
+      validateBody(COUPON_PREVIEW_SCHEMA),
+      async (req, res) => {
+        const buyerEmail = req.decoded.email;
+
+        try {
+          const cartItems = await cartCollections
+            .find({ buyerEmail })
+            .toArray();
+
+          if (cartItems.length === 0) {
+            return res.status(400).json({ error: "Cart is empty." });
+          }
+
+          const built = await buildOrderItems(cartItems);
+          if (built.error) {
+            return res.status(built.status).json({ error: built.error });
+          }
+
+          const applied = await evaluateCoupon(
+            req.body.couponCode,
+            buyerEmail,
+            built
+          );
+          if (applied.error) {
+            return res.status(applied.status).json({ error: applied.error });
+          }
+
+          const { couponId, ...discount } = applied.discount;
+          res.json({
+            subtotal: built.totalAmount,
+            discount,
+            total: roundMoney(built.totalAmount - discount.amount),
+            items: applied.items.map((item) => ({
+              productId: item.productId,
+              itemName: item.itemName,
+              quantity: item.quantity,
+              price: item.price,
+              discount: item.discount || 0,
+            })),
+          });
+        } catch (error) {
+          res.status(500).json({ error: "Failed to check coupon" });
+        }
+      }
+    );
+
+    // Save Payment Info
+    app.post(
+      "/save-payment",
+      verifyToken,
+      verifyRole("user"),
+      validateBody(PAYMENT_SCHEMA),
+      async (req, res) => {
+        try {
+          const { paymentIntentId, buyerName, buyerAddress } = req.body;
+
+          const payment = await paymentCollection.findOne({
+            paymentIntentId,
+            buyerEmail: req.decoded.email,
+          });
+
+          if (!payment) {
+            return res.status(404).json({ error: "Payment not found" });
+          }
+
+          // Only delivery details come from the browser
+          const updated = await paymentCollection.findOneAndUpdate(
+            { _id: payment._id },
+            {
+              $set: { buyerName, buyerAddress, updatedAt: new Date() },
+              $inc: { version: 1 },
+            },
+            { returnDocument: "after" }
+          );
+          await syncSubOrders(updated);
+
+          // The status always comes from Stripe, never from the request
+          const paymentIntent = await app.locals.stripe.paymentIntents.retrieve(
+            paymentIntentId
+          );
+
+          if (paymentIntent.status === "succeeded") {
+            await markOrderPaid(paymentIntentId, new Date());
+          }
+
+          const { status } = await paymentCollection.findOne(
+            { _id: payment._id },
+            { projection: { status: 1 } }
+          );
+
+          res
+            .status(200)
+            .json({ message: "Payment saved successfully", status });
+        } catch (error) {
+          res.status(500).json({ error: "Failed to save payment" });
+        }
+      }
+    );
+
+    // Ask for a paid order to be refunded, in full or by line (buyer)
+    app.post(
+      "/orders/:id/refund-requests",
+      verifyToken,
+      verifyRole("user"),
+      validateBody(REFUND_REQUEST_SCHEMA),
       async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).json({ error: "Order not found" });
+        }
+
         try {
-          const vendorEmail = req.query.email;
-          const page = parseInt(req.query.page) || 1;
-          const limit = parseInt(req.query.limit) || 7;
-          const skip = (page - 1) * limit;
+          const order = await paymentCollection.findOne({
+            _id: new ObjectId(req.params.id),
+            buyerEmail: req.decoded.email,
+          });
 
-          // Fetch all paid payments
-          const payments = await paymentCollection
-            .find({ status: "paid" })
-            .toArray();
+          if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+          }
 
-          // Build orders array only for this vendor
-          let orders = [];
+          if (!REFUNDABLE_STATUSES.includes(order.status)) {
+            return res.status(409).json({
+              error: `A ${order.status} order cannot be refunded`,
+            });
+          }
 
-          for (const payment of payments) {
-            for (const item of payment.items) {
-              const productObjectId =
-                typeof item.productId === "string"
-                  ? new ObjectId(item.productId)
-                  : item.productId;
+          const { lines, amount, error } = refundLines(order, req.body.lines);
+          if (error) {
+            return res.status(400).json({ error });
+          }
 
-              const product = await productCollections.findOne({
-                _id: productObjectId,
-              });
+          const request = {
+            orderId: order._id,
+            buyerEmail: order.buyerEmail,
+            buyerName: order.buyerName,
+            vendorEmails: [
+              ...new Set(lines.map((line) => line.vendorEmail).filter(Boolean)),
+            ],
+            lines,
+            amount,
+            reason: req.body.reason,
+            status: "requested",
+            // One open request per order, see the refundRequests index
+            open: true,
+            attempts: 0,
+            createdAt: new Date(),
+          };
 
-              // Check if this product belongs to this vendor
-              if (!product || product.vendorEmail !== vendorEmail) continue;
-
-              // Push vendor-specific order
-              orders.push({
-                _id: `${payment._id}-${item._id}`,
-                orderId: payment._id,
-                paymentIntentId: payment.paymentIntentId,
-                price: item.price || item.pricePerUnit || payment.amount,
-                buyerName: payment.buyerName,
-                buyerEmail: payment.buyerEmail,
-                buyerAddress: payment.buyerAddress,
-                status: payment.status,
-                paidAt: payment.paidAt,
-                productId: item.productId,
-                productName:
-                  product.itemName || item.itemName || "Unknown Product",
-                vendorEmail: product.vendorEmail,
-                vendorName: product.vendorName || "N/A",
-                productImage: product.image || item.image || "",
-                marketName: product.marketName || "Unknown Market",
-                quantity: item.quantity || 1,
+          try {
+            const result = await refundRequestCollections.insertOne(request);
+            request._id = result.insertedId;
+          } catch (error) {
+            if (error.code === 11000) {
+              return res.status(409).json({
+                error: "A refund request for this order is already open",
               });
             }
+            throw error;
           }
 
-          // Pagination
-          const totalOrders = orders.length;
-          const paginatedOrders = orders.slice(skip, skip + limit);
+          const buyer = order.buyerName || order.buyerEmail;
+          const notification = {
+            title: "Refund requested",
+            message: `${buyer} asked for a $${amount.toFixed(2)} refund.`,
+            data: {
+              orderId: String(order._id),
+              refundRequestId: String(request._id),
+            },
+          };
+          await notify(request.vendorEmails, "refund_requested", notification);
+          await notifyAdmins("refund_requested", notification);
 
-          res.json({
-            orders: paginatedOrders,
-            totalPages: Math.ceil(totalOrders / limit),
-          });
+          res.status(201).json(request);
         } catch (error) {
-          res.status(500).json({ error: "Internal Server Error" });
+          res.status(500).json({ error: "Failed to request refund" });
         }
       }
     );
 
-    // Get order for users
-    app.get(
-      "/orders",
-      verifyToken,
-      verifyTokenEmail,
-      verifyRole("user"),
-      async (req, res) => {
-        try {
-          const email = req.query.email;
+    // Stripe webhook, the source of truth for payment status
+    app.post("/webhooks/stripe", async (req, res) => {
+      let event;
 
-          const payments = await paymentCollection
-            .find({
-              buyerEmail: email,
-              status: "paid",
-            })
-            .toArray();
+      try {
+        event = app.locals.stripe.webhooks.constructEvent(
+          req.rawBody,
+          req.headers["stripe-signature"],
+          process.env.STRIPE_WEBHOOK_SECRET
+        );
+      } catch (err) {
+        return res
+          .status(400)
+          .json({ error: "Webhook signature verification failed" });
+      }
 
-          // For each payment, fetch product details for each item
-          const ordersWithProducts = await Promise.all(
-            payments.map(async (payment) => {
-              const itemsArray = Array.isArray(payment.items)
-                ? payment.items
-                : [];
-
-              if (itemsArray.length === 0) {
-                return {
-                  _id: payment._id,
-                  buyer: payment.buyerName,
-                  email: payment.buyerEmail,
-                  status: payment.status,
-                  paidAt: payment.paidAt,
-                };
-              }
+      try {
+        const object = event.data.object;
+
+        switch (event.type) {
+          case "payment_intent.succeeded":
+            await markOrderPaid(object.id, new Date(event.created * 1000));
+            break;
+
+          case "payment_intent.payment_failed": {
+            const order = await transitionOrder(
+              { paymentIntentId: object.id },
+              "failed",
+              { failureMessage: object.last_payment_error?.message || null }
+            );
+            if (order) await releaseOrderCoupon(order);
+            break;
+          }
 
-              // Process each item to fetch product details
-              const processedItems = await Promise.all(
-                itemsArray.map(async (item) => {
-                  let productDetails = {};
-                  try {
-                    if (item.productId) {
-                      productDetails = await productCollections.findOne({
-                        _id: new ObjectId(item.productId),
-                      });
-                    }
-                  } catch (err) {
-                    // console.error("Invalid productId:", item.productId);
-                  }
+          case "payment_intent.canceled": {
+            const order = await transitionOrder(
+              { paymentIntentId: object.id },
+              "cancelled",
+              { cancelledAt: new Date(event.created * 1000) }
+            );
+            if (order) await onOrderCancelled(order);
+            break;
+          }
 
-                  return {
-                    product_id: item.productId,
-                    price: parseFloat(item.price || item.pricePerUnit || 0),
-                    quantity: item.quantity || 1,
-                    productName:
-                      productDetails?.itemName || item.itemName || "Unknown",
-                    marketName: productDetails?.marketName || "Unknown",
-                    productImage: productDetails?.image || item.image || "N/A",
-                  };
-                })
-              );
+          // Full or partial refunds, including ones made in the Stripe
+          // dashboard. Each refund id is recorded once, so replays and
+          // refunds already recorded by issueRefund change nothing.
+          case "charge.refunded": {
+            const refunds = await app.locals.stripe.refunds.list({
+              charge: object.id,
+              limit: 100,
+            });
 
-              const totalAmount = processedItems.reduce(
-                (sum, item) => sum + item.price * item.quantity,
-                0
+            let order = null;
+            let amount = 0;
+            for (const refund of refunds.data) {
+              if (["failed", "canceled"].includes(refund.status)) continue;
+
+              const recorded = await paymentCollection.findOneAndUpdate(
+                {
+                  paymentIntentId: object.payment_intent,
+                  "refunds.stripeRefundId": { $ne: refund.id },
+                },
+                {
+                  $inc: { amountRefunded: refund.amount / 100, version: 1 },
+                  $push: {
+                    refunds: {
+                      stripeRefundId: refund.id,
+                      amount: refund.amount / 100,
+                      at: new Date(refund.created * 1000),
+                    },
+                  },
+                },
+                { returnDocument: "after" }
               );
+              if (recorded) {
+                order = recorded;
+                amount = roundMoney(amount + refund.amount / 100);
+              }
+            }
+            if (!order) break;
 
-              return {
-                _id: payment._id,
-                items: processedItems,
-                totalAmount,
-                buyer: payment.buyerName,
-                email: payment.buyerEmail,
-                status: payment.status,
-                paidAt: payment.paidAt,
-                type: processedItems.length > 1 ? "multiple" : "single",
-              };
-            })
-          );
+            const updated = await transitionOrder(
+              { _id: order._id },
+              object.refunded ? "refunded" : "partially_refunded",
+              { refundedAt: new Date(event.created * 1000) }
+            );
+            if (!updated) await syncSubOrders(order);
 
-          res.json(ordersWithProducts);
-        } catch (error) {
-          res.status(500).json({ error: "Internal Server Error" });
+            await notifyOrder(
+              updated || order,
+              "order_refunded",
+              object.refunded ? "Order refunded" : "Order partially refunded",
+              `$${amount.toFixed(2)} was refunded.`
+            );
+            break;
+          }
+
+          default:
+            break;
         }
+
+        res.json({ received: true });
+      } catch (error) {
+        // A 500 makes Stripe retry the delivery later
+        res.status(500).json({ error: "Failed to process webhook" });
       }
-    );
+    });
 
-    // Get Ads
-    app.get("/get-ads", async (req, res) => {
+    // Contact form
+    app.post("/contact", validateBody(CONTACT_SCHEMA), async (req, res) => {
+      if (!(await queueMail(process.env.EMAIL_USER, "contact", req.body))) {
+        return res.status(500).json({ error: "Failed to send message" });
+      }
+      res.status(200).json({ message: "Message sent successfully!" });
+    });
+
+    // =============================UPDATE API=============================
+
+    // Updating Users Signin Time
+    app.patch("/update-last-login", verifyToken, async (req, res) => {
       try {
-        const ads = await adCollections.find({ status: "approved" }).toArray();
-        res.json(ads);
+        const email = req.decoded.email;
+
+        const result = await usersCollection.updateOne(
+          { email },
+          { $set: { lastSignedIn: new Date() } }
+        );
+
+        if (result.matchedCount === 0) {
+          return res.status(404).send({ error: "User not found" });
+        }
+
+        res.send({ message: "Last login updated", result });
       } catch (error) {
-        res.status(500).json({ message: "Internal Server Error" });
+        res.status(500).send({ error: "Update failed" });
       }
     });
 
-    // Get vendor applications - admin only
-    app.get(
-      "/vendor-requests",
+    // Update the caller's own profile
+    app.patch(
+      ["/me", "/users/updateProfile"],
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("admin"),
+      validateBody(PROFILE_SCHEMA, { partial: true }),
       async (req, res) => {
         try {
-          const vendorRequests = await vendorsCollection
-            .find({})
-            .sort({ createdAt: -1 })
-            .toArray();
+          const { name, photo } = req.body;
 
-          res.status(200).json(vendorRequests);
-        } catch (err) {
-          res.status(500).json({ message: "Internal server error" });
-        }
-      }
-    );
+          const updateData = {};
+          if (name !== undefined) updateData.name = name;
+          if (photo !== undefined) updateData.photo = photo;
 
-    // =============================POST API=============================
+          if (Object.keys(updateData).length === 0) {
+            return res.status(400).send({ error: "Nothing to update" });
+          }
 
-    // JWT Implementation
-    app.post("/jwt", async (req, res) => {
-      const { email } = req.body;
-      const token = jwt.sign({ email }, process.env.JWT_SECRET_KEY);
-      res.send({ token });
-    });
+          const result = await usersCollection.updateOne(
+            { email: req.decoded.email },
+            { $set: updateData }
+          );
 
-    // Sending users to DB
-    app.post("/register", async (req, res) => {
-      try {
-        const { name, email, photo } = req.body;
-        const existingUser = await usersCollection.findOne({ email });
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ error: "User not found" });
+          }
 
-        if (existingUser) {
-          return res.status(400).send({ error: "User already exists" });
+          res.status(200).send(result);
+        } catch (error) {
+          res.status(500).send({ error: "Failed to update profile" });
         }
-
-        const newUser = {
-          name,
-          email,
-          photo,
-          role: "user",
-          createdAt: new Date(),
-          lastSignedIn: new Date(),
-        };
-
-        const result = await usersCollection.insertOne(newUser);
-        res.status(201).send(result);
-      } catch (error) {
-        res.status(500).send({ error: "Registration failed" });
       }
-    });
+    );
 
-    // Apply to become a vendor
-    app.post(
-      "/vendors/apply",
+    // Update a user's role
+    app.patch(
+      "/users/updateRole/:id",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("user"),
+      verifyRole("admin"),
       async (req, res) => {
+        const userId = req.params.id;
+        const { role } = req.body;
+
+        if (!["user", "vendor", "admin"].includes(role)) {
+          return res.status(400).send({ message: "Invalid role" });
+        }
+
         try {
-          const vendorData = req.body;
-          const data = {
-            ...vendorData,
-            vendor_status: "pending",
-            createdAt: new Date(),
-          };
+          const filter = { _id: new ObjectId(userId) };
+          const before = await usersCollection.findOne(filter);
 
-          const result = await vendorsCollection.insertOne(data);
-          res.status(201).send(result);
+          const result = await usersCollection.updateOne(filter, {
+            $set: { role },
+          });
+
+          if (result.modifiedCount > 0) {
+            await recordAudit(
+              req,
+              "user.role_update",
+              { type: "user", id: userId },
+              before,
+              { ...before, role }
+            );
+          }
+          res.send(result);
         } catch (err) {
-          res
-            .status(403)
-            .json({ message: "Server error. Please try again later." });
+          res.status(500).send({ message: "Failed to update role" });
         }
       }
     );
 
-    // Add Products API
-    app.post(
-      "/add-products",
+    // Product approval API
+    app.patch(
+      "/approve-product/:productId",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("vendor"),
+      verifyRole("admin"),
       async (req, res) => {
+        const { productId } = req.params;
+        const { status } = req.body;
+
+        if (!status) {
+          return res.status(400).json({ error: "Status is required" });
+        }
+
         try {
-          const productData = req.body;
-          const data = {
-            ...productData,
-            createdAt: new Date(),
-            updatedAt: new Date(),
-          };
+          const filter = { _id: new ObjectId(productId) };
+          const before = await productCollections.findOne(filter);
 
-          const result = await productCollections.insertOne(data);
-          res.status(201).send(result);
+          let updatedDoc = {};
+
+          if (status === "approved") {
+            updatedDoc = {
+              $set: { status, reviewedAt: new Date() },
+              $unset: {
+                rejectionFeedback: "",
+                rejectionReason: "",
+              },
+            };
+          } else {
+            updatedDoc = {
+              $set: { status, reviewedAt: new Date() },
+            };
+          }
+
+          const updatedProduct = await productCollections.updateOne(
+            filter,
+            updatedDoc
+          );
+          if (!updatedProduct) {
+            return res.status(404).json({ error: "Product not found" });
+          }
+
+          if (updatedProduct.modifiedCount > 0) {
+            const product = await productCollections.findOne(filter);
+            await recordAudit(
+              req,
+              "product.status_update",
+              { type: "product", id: productId },
+              before,
+              product
+            );
+
+            if (status === "approved") {
+              await queueMail(product.vendorEmail, "productApproved", product);
+              await notify(product.vendorEmail, "product_approved", {
+                title: "Product approved",
+                message: `${product.itemName} is now live.`,
+                data: { productId },
+              });
+              await publishPrice(product);
+              await evaluatePriceAlerts(product).catch((error) =>
+                logError("Failed to evaluate price alerts", error)
+              );
+            } else if (status === "rejected") {
+              await queueMail(product.vendorEmail, "productRejected", product);
+              await notify(product.vendorEmail, "product_rejected", {
+                title: "Product rejected",
+                message: `${product.itemName} was not approved.`,
+                data: { productId },
+              });
+            }
+          }
+
+          res.send(updatedProduct);
         } catch (error) {
-          res.status(500).json({ message: "Server error" });
+          res.status(500).json({ error: "Internal server error" });
         }
       }
     );
 
-    // Add Advertisement API
-    app.post(
-      "/advertisements",
-      verifyToken,
-      verifyTokenEmail,
-      verifyRole("vendor"),
-      async (req, res) => {
-        try {
-          const formData = req.body;
+    // Ad approval API
+    app.patch(
+      "/approve-ad/:adId",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const { adId } = req.params;
+        const { status, weight } = req.body;
+
+        if (!status) {
+          return res.status(400).json({ error: "Status is required" });
+        }
+        if (
+          weight !== undefined &&
+          (!Number.isInteger(weight) || weight < 1 || weight > 100)
+        ) {
+          return res
+            .status(400)
+            .json({ error: "weight must be an integer from 1 to 100" });
+        }
+
+        try {
+          const filter = { _id: new ObjectId(adId) };
+          const before = await adCollections.findOne(filter);
+
+          let updatedDoc = {};
+
+          if (status === "approved") {
+            updatedDoc = {
+              $set: {
+                status,
+                reviewedAt: new Date(),
+                ...(weight !== undefined && { weight }),
+              },
+              $unset: {
+                rejectionFeedback: "",
+                rejectionReason: "",
+              },
+            };
+          } else {
+            updatedDoc = {
+              $set: { status, reviewedAt: new Date() },
+            };
+          }
+
+          const updatedProduct = await adCollections.updateOne(
+            filter,
+            updatedDoc
+          );
+          if (!updatedProduct) {
+            return res.status(404).json({ error: "Advertisement not found" });
+          }
+
+          if (updatedProduct.modifiedCount > 0) {
+            const ad = await adCollections.findOne(filter);
+            await recordAudit(
+              req,
+              "ad.status_update",
+              { type: "ad", id: adId },
+              before,
+              ad
+            );
 
-          const data = {
-            ...formData,
-            status: "pending",
-            createdAt: new Date(),
-          };
+            if (["approved", "rejected"].includes(status)) {
+              await queueMail(
+                ad.adCreatedBy,
+                status === "approved" ? "adApproved" : "adRejected",
+                ad
+              );
+              await notify(ad.adCreatedBy, `ad_${status}`, {
+                title: `Advertisement ${status}`,
+                message:
+                  status === "approved"
+                    ? `${ad.title} is now live.`
+                    : `${ad.title} was not approved.`,
+                data: { adId },
+              });
+            }
+          }
 
-          const result = await adCollections.insertOne(data);
-          res.status(201).send(result);
+          res.send(updatedProduct);
         } catch (error) {
-          res.status(500).send({ error: "Something went wrong" });
+          res.status(500).json({ error: "Internal server error" });
         }
       }
     );
 
-    // Wishlist post API
-    app.post("/wishlist", async (req, res) => {
-      try {
-        const { productId } = req.body;
-        const email = req.query.email;
+    //Update a product API
+    app.patch(
+      "/modify-product/:id",
+      verifyToken,
+      verifyRole("vendor", "admin"),
+      verifyOwnership(
+        productCollections,
+        "vendorEmail",
+        PRODUCT_PROTECTED_FIELDS
+      ),
+      validateBody(PRODUCT_UPDATE_SCHEMA, { partial: true }),
+      async (req, res) => {
+        const productsData = req.body;
+        const id = req.params.id;
+        const existing = req.resource;
 
-        if (!email || !productId) {
+        const refErrors = await resolveProductRefs(productsData, {
+          partial: true,
+        });
+        if (refErrors) {
           return res
             .status(400)
-            .json({ message: "Email and productId are required." });
+            .json({ error: "Validation failed", details: refErrors });
         }
 
-        // Check if this product already exists in the user's wishlist
-        const alreadyExists = await wishCollections.findOne({
-          email,
-          productId,
-        });
+        const filter = { _id: new ObjectId(id) };
+        const updatedDoc = {
+          $set: { ...productsData, updatedAt: new Date() },
+        };
 
-        if (alreadyExists) {
-          return res
-            .status(409)
-            .json({ message: "Already added to wishlist." });
+        if (productsData.itemName) {
+          updatedDoc.$set.itemKey = normalizeItemKey(productsData.itemName);
         }
 
-        const result = await wishCollections.insertOne({
-          email,
-          productId,
-          createdAt: new Date(),
-        });
-
-        res.send(result);
-      } catch (error) {
-        res.status(500).json({ message: "Server error" });
-      }
-    });
-
-    // Add To Cart Post API
-    app.post("/cart", verifyToken, verifyTokenEmail, async (req, res) => {
-      try {
-        const { productId, itemName, pricePerUnit, image, buyerEmail } =
-          req.body;
-
-        // Check if product already exists
-        const existingItem = await cartCollections.findOne({
-          buyerEmail,
-          productId,
-        });
-
-        if (existingItem) {
-          // Update quantity if already in cart
-          await cartCollections.updateOne(
-            { _id: existingItem._id },
-            { $inc: { quantity: 1 } }
-          );
-          return res.status(200).json({ message: "Cart updated successfully" });
-        } else {
-          const newCartItem = {
-            productId,
-            itemName,
-            pricePerUnit,
-            image,
-            buyerEmail,
-            quantity: 1,
-            createdAt: new Date(),
+        // A vendor's edit sends a reviewed product back for re-review
+        if (req.user.role !== "admin" && existing.status !== "pending") {
+          updatedDoc.$set.status = "pending";
+          updatedDoc.$set.submittedAt = new Date();
+          updatedDoc.$unset = {
+            rejectionReason: "",
+            rejectionFeedback: "",
+            reviewedAt: "",
           };
-
-          await cartCollections.insertOne(newCartItem);
-          return res.status(201).json({ message: "Product added to cart" });
         }
-      } catch (error) {
-        res.status(500).json({ message: "Internal Server Error" });
-      }
-    });
 
-    // Checkout Form
-    app.post(
-      "/create-order",
-      verifyToken,
-      verifyTokenEmail,
-      async (req, res) => {
         try {
-          const { buyerEmail, buyerName } = req.body;
-
-          // Fetch cart items for this user
-          const cartItems = await cartCollections
-            .find({ buyerEmail })
-            .toArray();
+          const result = await productCollections.updateOne(filter, updatedDoc);
 
-          if (!cartItems || cartItems.length === 0) {
-            return res.status(400).json({ message: "Cart is empty" });
+          if (result.modifiedCount === 0) {
+            return res.status(404).json({ message: "Update failed" });
           }
 
-          // Calculate total price
-          const totalPrice = cartItems.reduce((sum, item) => {
-            return sum + item.pricePerUnit * (item.quantity || 1);
-          }, 0);
+          if (req.user.role === "admin") {
+            await recordAudit(
+              req,
+              "product.update",
+              { type: "product", id },
+              existing,
+              await productCollections.findOne(filter)
+            );
+          }
 
-          // Create order object
-          const newOrder = {
-            buyerName,
-            buyerEmail,
-            cartItems,
-            price: totalPrice,
-            status: "pending",
-            createdAt: new Date(),
-          };
+          // Keep the previous price as history instead of overwriting it
+          if (
+            productsData.pricePerUnit !== undefined &&
+            parseFloat(productsData.pricePerUnit) !==
+              parseFloat(existing?.pricePerUnit)
+          ) {
+            // Products listed before price history was kept have no
+            // observation yet; record the price being replaced first
+            const observed = await priceHistoryCollection.findOne(
+              { productId: existing._id },
+              { projection: { _id: 1 } }
+            );
+            if (!observed) {
+              await recordPriceObservation(existing, existing.date);
+            }
 
-          // Insert into payment collection
-          const result = await paymentCollection.insertOne(newOrder);
+            await recordPriceObservation(
+              { ...existing, ...productsData },
+              productsData.date
+            );
+            const updated = { ...existing, ...updatedDoc.$set };
+            await publishPrice(updated);
+            await evaluatePriceAlerts(updated).catch((error) =>
+              logError("Failed to evaluate price alerts", error)
+            );
+          }
 
-          res.status(201).json(result);
-        } catch (error) {
-          res.status(500).json({ message: "Failed to create order" });
+          res.send(result);
+        } catch (err) {
+          res.status(500).json({ error: "Failed to update product" });
         }
       }
     );
 
-    // POST Comment API
-    app.post("/comments", verifyToken, verifyTokenEmail, async (req, res) => {
-      try {
-        const { productId, userEmail, userName, rating, comment, date } =
-          req.body;
+    //Update a advertisement API
+    app.patch(
+      "/update-ad/:id",
+      verifyToken,
+      verifyRole("vendor"),
+      verifyOwnership(adCollections, "adCreatedBy", AD_PROTECTED_FIELDS),
+      validateBody(AD_SCHEMA, { partial: true }),
+      async (req, res) => {
+        const adId = req.params.id;
+        const updateData = req.body;
 
-        if (
-          !productId ||
-          !userEmail ||
-          !userName ||
-          !rating ||
-          !comment ||
-          !date
-        ) {
-          return res.status(400).json({ error: "Missing required fields" });
+        const windowError = adWindowError({ ...req.resource, ...updateData });
+        if (windowError) {
+          return res.status(400).json({ error: windowError });
         }
 
-        const newComment = {
-          productId,
-          userEmail,
-          userName,
-          rating,
-          comment,
-          date: new Date(date),
-        };
+        try {
+          const filter = { _id: new ObjectId(adId) };
 
-        const result = await commentsCollection.insertOne(newComment);
+          const updateDoc = {
+            $set: {
+              ...updateData,
+              updatedAt: new Date(),
+            },
+          };
 
-        res.status(201).json({
-          _id: result.insertedId,
-          ...newComment,
-        });
-      } catch (error) {
-        // console.error("POST /comments error:", error);
-        res.status(500).json({ error: "Internal Server Error" });
+          // An edited ad goes back for re-review like a product does
+          if (req.resource.status !== "pending") {
+            updateDoc.$set.status = "pending";
+            updateDoc.$set.submittedAt = new Date();
+            updateDoc.$unset = {
+              rejectionReason: "",
+              rejectionFeedback: "",
+              reviewedAt: "",
+            };
+          }
+
+          const result = await adCollections.updateOne(filter, updateDoc);
+          if (result.matchedCount === 0) {
+            return res.status(404).json({ error: "Advertisement not found" });
+          }
+
+          res.send(result);
+        } catch (err) {
+          res.status(500).json({ error: "Failed to update advertisement" });
+        }
       }
-    });
+    );
 
-    // Payment Intent
-    app.post(
-      "/create-payment-intent",
+    // Reject a project API
+    app.patch(
+      "/reject-product/:id",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("user"),
+      verifyRole("admin"),
       async (req, res) => {
         try {
-          const { productId, price, buyerName, buyerEmail } = req.body;
-
-          if (!price || isNaN(price)) {
-            return res.status(400).json({ error: "Invalid price" });
-          }
-
-          // Create Stripe PaymentIntent
-          const paymentIntent = await stripe.paymentIntents.create({
-            amount: Math.round(price * 100),
-            currency: "usd",
-            payment_method_types: ["card"],
-            metadata: {
-              productId,
-              buyerName,
-              buyerEmail,
-            },
+          const { id } = req.params;
+          const { reason, feedback } = req.body;
+          const before = await productCollections.findOne({
+            _id: new ObjectId(id),
           });
 
-          // Return client secret for front-end payment confirmation
-          res.json({ clientSecret: paymentIntent.client_secret });
+          const result = await productCollections.updateOne(
+            { _id: new ObjectId(id) },
+            {
+              $set: {
+                status: "rejected",
+                rejectionReason: reason,
+                rejectionFeedback: feedback,
+                reviewedAt: new Date(),
+              },
+            }
+          );
+
+          if (result.modifiedCount > 0) {
+            const product = await productCollections.findOne({
+              _id: new ObjectId(id),
+            });
+            await recordAudit(
+              req,
+              "product.reject",
+              { type: "product", id },
+              before,
+              product
+            );
+            await queueMail(product.vendorEmail, "productRejected", product);
+            await notify(product.vendorEmail, "product_rejected", {
+              title: "Product rejected",
+              message: `${product.itemName} was not approved.${rejectionNote(
+                product
+              )}`,
+              data: { productId: id },
+            });
+            res.send(result);
+          } else {
+            res.status(400).send({ message: "Update failed" });
+          }
         } catch (error) {
-          res.status(500).json({ error: "Internal Server Error" });
+          res
+            .status(500)
+            .send({ message: "Server error", error: error.message });
         }
       }
     );
 
-    // Cart Payment Intent
-    app.post(
-      "/create-payment-intent-cart",
+    // Reject a advertisement API
+    app.patch(
+      "/reject-advertisement/:id",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("user"),
+      verifyRole("admin"),
       async (req, res) => {
-        const { items, buyerEmail, buyerName } = req.body;
-
-        // Validate the request
-        if (!items || !Array.isArray(items) || items.length === 0) {
-          return res
-            .status(400)
-            .json({ error: "A non-empty array of items is required." });
-        }
-
         try {
-          // Validate prices and stock on the server side
-          let totalAmount = 0;
-          let productInfo = [];
-
-          for (const item of items) {
-            // Fetch the latest product info from the DB
-            const product = await productCollections.findOne({
-              _id: new ObjectId(item.productId),
-            });
-
-            if (!product) {
-              return res
-                .status(404)
-                .json({ error: `Product ${item.productId} not found.` });
-            }
-
-            // CONVERT PRICE TO NUMBER BEFORE CALCULATION
-            const productPrice = parseFloat(product.pricePerUnit);
-            const itemQuantity = parseInt(item.quantity);
+          const { id } = req.params;
+          const { reason, feedback } = req.body;
+          const before = await adCollections.findOne({ _id: new ObjectId(id) });
 
-            if (isNaN(productPrice) || isNaN(itemQuantity)) {
-              return res.status(400).json({
-                error: `Invalid price or quantity for product ${product.itemName}`,
-              });
+          const result = await adCollections.updateOne(
+            { _id: new ObjectId(id) },
+            {
+              $set: {
+                status: "rejected",
+                rejectionReason: reason,
+                rejectionFeedback: feedback,
+                reviewedAt: new Date(),
+              },
             }
+          );
 
-            const itemTotal = productPrice * itemQuantity;
-            totalAmount += itemTotal;
-
-            // Push validated info
-            productInfo.push({
-              productId: item.productId,
-              quantity: itemQuantity,
-              price: productPrice,
-              name: product.itemName,
-              image: product.image,
+          if (result.modifiedCount > 0) {
+            const ad = await adCollections.findOne({ _id: new ObjectId(id) });
+            await recordAudit(req, "ad.reject", { type: "ad", id }, before, ad);
+            await queueMail(ad.adCreatedBy, "adRejected", ad);
+            await notify(ad.adCreatedBy, "ad_rejected", {
+              title: "Advertisement rejected",
+              message: `${ad.title} was not approved.${rejectionNote(ad)}`,
+              data: { adId: id },
             });
+            res.send(result);
+          } else {
+            res.status(400).send({ message: "Update failed" });
           }
-
-          // Convert amount to cents
-          const amount = Math.round(totalAmount * 100);
-          if (amount < 50) {
-            return res
-              .status(400)
-              .json({ error: "Order total must be at least $0.50." });
-          }
-
-          // Create a Payment Intent with the order amount and currency
-          const paymentIntent = await stripe.paymentIntents.create({
-            amount: amount,
-            currency: "usd",
-            payment_method_types: ["card"],
-            metadata: {
-              buyerEmail: buyerEmail,
-              buyerName: buyerName,
-              productCount: productInfo.length.toString(),
-            },
-          });
-
-          res.status(200).json({ clientSecret: paymentIntent.client_secret });
         } catch (error) {
-          res.status(500).json({
-            error: "Internal server error. Could not create payment intent.",
-          });
+          res
+            .status(500)
+            .send({ message: "Server error", error: error.message });
         }
       }
     );
 
-    // Save Payment Info
-    app.post(
-      "/save-payment",
+    // Edit a comment (author or admin)
+    app.patch(
+      "/comments/:id",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("user"),
+      verifyRole("user", "vendor", "admin"),
+      verifyOwnership(
+        commentsCollection,
+        "userEmail",
+        COMMENT_PROTECTED_FIELDS
+      ),
+      validateBody(
+        { rating: COMMENT_SCHEMA.rating, comment: COMMENT_SCHEMA.comment },
+        { partial: true }
+      ),
       async (req, res) => {
-        try {
-          const paymentData = req.body;
+        const { rating, comment } = req.body;
 
-          // must include paymentIntentId
-          if (!paymentData.paymentIntentId) {
-            return res.status(400).json({ error: "Missing paymentIntentId" });
-          }
-
-          const doc = {
-            ...paymentData,
-            paidAt: new Date(),
-            status: "paid",
-          };
+        const updateData = {};
+        if (rating !== undefined) updateData.rating = rating;
+        if (comment !== undefined) updateData.comment = comment;
 
-          await paymentCollection.insertOne(doc);
+        if (Object.keys(updateData).length === 0) {
+          return res.status(400).json({ error: "Nothing to update" });
+        }
 
-          res.status(200).json({ message: "Payment saved successfully" });
+        try {
+          const result = await commentsCollection.updateOne(
+            { _id: req.resource._id },
+            { $set: { ...updateData, updatedAt: new Date() } }
+          );
+          res.json(result);
         } catch (error) {
-          res.status(500).json({ error: "Failed to save payment" });
+          res.status(500).json({ error: "Failed to update comment" });
         }
       }
     );
 
-    // Contact form
-    app.post("/contact", async (req, res) => {
-      const { name, email, message } = req.body;
-
-      try {
-        const transporter = nodemailer.createTransport({
-          host: "smtp.gmail.com",
-          port: 465,
-          secure: true,
-          auth: {
-            user: process.env.EMAIL_USER,
-            pass: process.env.EMAIL_PASS,
-          },
-        });
-
-        // Email options
-        const mailOptions = {
-          from: `"MarketPulse Contact" <${process.env.EMAIL_USER}>`,
-          to: process.env.EMAIL_USER,
-          subject: `MarketPulse Form Message from ${name}`,
-          html: `
-        <h3>New Message from MarketPulse Contact Form</h3>
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email}</p>
-        <p><strong>Message:</strong><br/> ${message}</p>
-      `,
-        };
-
-        // Send email
-        await transporter.sendMail(mailOptions);
+    // Update cart item quantity
+    app.patch("/cart/update/:itemId", verifyToken, async (req, res) => {
+      const { itemId } = req.params;
+      const { action } = req.query;
+      const email = req.decoded.email;
 
-        res.status(200).json({ message: "Message sent successfully!" });
-      } catch (error) {
-        // console.error("Error sending email:", error);
-        res.status(500).json({ error: "Failed to send message" });
+      if (!action || !["increase", "decrease"].includes(action)) {
+        return res
+          .status(400)
+          .json({ message: "Invalid action. Use 'increase' or 'decrease'." });
       }
-    });
-
-    // =============================UPDATE API=============================
 
-    // Updating Users Signin Time
-    app.patch("/update-last-login", async (req, res) => {
       try {
-        const { email } = req.body;
-        if (!email) {
-          return res.status(400).send({ error: "Email is required" });
-        }
+        const cartItem = await cartCollections.findOne({
+          _id: new ObjectId(itemId),
+          buyerEmail: email,
+        });
 
-        const result = await usersCollection.updateOne(
-          { email },
-          { $set: { lastSignedIn: new Date() } }
-        );
+        if (!cartItem) {
+          return res.status(404).json({ message: "Item not found" });
+        }
 
-        if (result.matchedCount === 0) {
-          return res.status(404).send({ error: "User not found" });
+        // Prevent decreasing below 1
+        if (action === "decrease" && cartItem.quantity <= 1) {
+          return res
+            .status(400)
+            .json({ message: "Quantity cannot be less than 1" });
         }
 
-        res.send({ message: "Last login updated", result });
-      } catch (error) {
-        res.status(500).send({ error: "Update failed" });
-      }
-    });
+        if (action === "increase") {
+          const product = await productCollections.findOne({
+            _id: new ObjectId(cartItem.productId),
+          });
 
-    // PATCH /users/updateProfile/:id
-    app.patch("/users/updateProfile", async (req, res) => {
-      try {
-        const { email } = req.query;
-        const { name, photo } = req.body;
+          if (cartItem.quantity + 1 > availableStock(product)) {
+            return res.status(409).json({ message: "Not enough stock" });
+          }
+        }
 
-        const updateData = { name, photo };
+        const increment = action === "increase" ? 1 : -1;
 
-        const result = await usersCollection.updateOne(
-          { email },
-          { $set: updateData }
+        const result = await cartCollections.updateOne(
+          { _id: new ObjectId(itemId), buyerEmail: email },
+          { $inc: { quantity: increment } }
         );
 
-        if (result.matchedCount === 0) {
-          return res.status(404).send({ error: "User not found" });
-        }
-
-        res.status(200).send(result);
+        res.json(result);
       } catch (error) {
-        res.status(500).send({ error: "Failed to update profile" });
+        res.status(500).json({ error: "Server error" });
       }
     });
 
-    // Update a user's role
+    // Update vendor application status
     app.patch(
-      "/users/updateRole/:id",
+      "/vendor-requests/:vendorId",
       verifyToken,
-      verifyTokenEmail,
       verifyRole("admin"),
       async (req, res) => {
-        const userId = req.params.id;
-        const { role } = req.body;
+        try {
+          const { vendorId } = req.params;
+          const { status } = req.body;
 
-        if (!["user", "vendor", "admin"].includes(role)) {
-          return res.status(400).send({ message: "Invalid role" });
-        }
+          if (!["pending", "approved", "rejected"].includes(status)) {
+            return res.status(400).json({ message: "Invalid status value" });
+          }
 
-        try {
-          const result = await usersCollection.updateOne(
-            { _id: new ObjectId(userId) },
-            { $set: { role } }
+          // Find the vendor application first
+          const vendorApplication = await vendorsCollection.findOne({
+            _id: new ObjectId(vendorId),
+          });
+
+          if (!vendorApplication) {
+            return res
+              .status(404)
+              .json({ message: "Vendor application not found" });
+          }
+
+          // Prevent changing status if already approved or rejected
+          if (
+            vendorApplication.vendor_status === "approved" ||
+            vendorApplication.vendor_status === "rejected"
+          ) {
+            return res.status(400).json({
+              message: `Cannot update. Vendor is already ${vendorApplication.vendor_status}`,
+            });
+          }
+
+          // Update vendor_status in vendorApplications
+          await vendorsCollection.updateOne(
+            { _id: new ObjectId(vendorId) },
+            {
+              $set: {
+                vendor_status: status,
+                ...(status !== "pending" && { reviewedAt: new Date() }),
+              },
+            }
           );
-          res.send(result);
+
+          // If approved, update user's role in the users collection
+          if (status === "approved") {
+            await usersCollection.updateOne(
+              { email: vendorApplication.email },
+              { $set: { role: "vendor" } }
+            );
+          }
+
+          await recordAudit(
+            req,
+            "vendor_application.status_update",
+            { type: "vendor_application", id: vendorId },
+            vendorApplication,
+            { ...vendorApplication, vendor_status: status }
+          );
+
+          if (status !== "pending") {
+            await queueMail(
+              vendorApplication.email,
+              status === "approved" ? "vendorApproved" : "vendorRejected",
+              vendorApplication
+            );
+            await notify(vendorApplication.email, `vendor_${status}`, {
+              title: `Vendor application ${status}`,
+              message:
+                status === "approved"
+                  ? `${vendorApplication.shopName} can now add products and advertisements.`
+                  : `The application for ${vendorApplication.shopName} was not approved.`,
+              data: { vendorId },
+            });
+          }
+
+          res
+            .status(200)
+            .json({ message: "Vendor status updated successfully" });
         } catch (err) {
-          res.status(500).send({ message: "Failed to update role" });
+          res.status(500).json({ message: "Internal server error" });
         }
       }
     );
 
-    // Product approval API
+    // Update a market (admin)
     app.patch(
-      "/approve-product/:productId",
+      "/markets/:id",
       verifyToken,
-      verifyTokenEmail,
       verifyRole("admin"),
+      validateBody(MARKET_SCHEMA, { partial: true }),
       async (req, res) => {
-        const { productId } = req.params;
-        const { status } = req.body;
-
-        if (!status) {
-          return res.status(400).json({ error: "Status is required" });
+        // Coordinates are only replaced as a pair
+        const { coordinates } = req.body;
+        const missing = coordinates
+          ? ["lat", "lng"].filter((name) => coordinates[name] === undefined)
+          : [];
+        if (missing.length > 0) {
+          return res.status(400).json({
+            error: "Validation failed",
+            details: missing.map((name) => ({
+              field: `coordinates.${name}`,
+              message: "is required",
+            })),
+          });
         }
 
         try {
-          const filter = { _id: new ObjectId(productId) };
-
-          let updatedDoc = {};
+          const filter = { _id: new ObjectId(req.params.id), deleted: false };
+          const before = await marketCollections.findOne(filter);
+          const market = await marketCollections.findOneAndUpdate(
+            filter,
+            { $set: { ...toMarketDoc(req.body), updatedAt: new Date() } },
+            { returnDocument: "after" }
+          );
 
-          if (status === "approved") {
-            updatedDoc = {
-              $set: { status },
-              $unset: {
-                rejectionFeedback: "",
-                rejectionReason: "",
-              },
-            };
-          } else {
-            updatedDoc = {
-              $set: { status },
-            };
+          if (!market) {
+            return res.status(404).json({ error: "Market not found" });
           }
 
-          const updatedProduct = await productCollections.updateOne(
-            filter,
-            updatedDoc
+          await recordAudit(
+            req,
+            "market.update",
+            { type: "market", id: market._id },
+            before,
+            market
           );
-          if (!updatedProduct) {
-            return res.status(404).json({ error: "Product not found" });
+
+          // Keep the name copied onto products in sync
+          if (req.body.name) {
+            await productCollections.updateMany(
+              { marketId: market._id },
+              { $set: { marketName: market.name } }
+            );
           }
-          res.send(updatedProduct);
+
+          res.send(market);
         } catch (error) {
-          res.status(500).json({ error: "Internal server error" });
+          if (error.code === 11000) {
+            return res.status(409).json({ error: "Market already exists" });
+          }
+          res.status(500).json({ error: "Failed to update market" });
         }
       }
     );
 
-    // Ad approval API
+    // Update a category (admin)
     app.patch(
-      "/approve-ad/:adId",
+      "/categories/:id",
       verifyToken,
-      verifyTokenEmail,
       verifyRole("admin"),
+      validateBody(CATEGORY_SCHEMA, { partial: true }),
       async (req, res) => {
-        const { adId } = req.params;
-        const { status } = req.body;
-
-        if (!status) {
-          return res.status(400).json({ error: "Status is required" });
-        }
-
         try {
-          const filter = { _id: new ObjectId(adId) };
+          const update = { ...req.body, updatedAt: new Date() };
+          if (req.body.name) update.slug = slugify(req.body.name);
 
-          let updatedDoc = {};
+          const filter = { _id: new ObjectId(req.params.id), deleted: false };
+          const before = await categoryCollections.findOne(filter);
+          const category = await categoryCollections.findOneAndUpdate(
+            filter,
+            { $set: update },
+            { returnDocument: "after" }
+          );
 
-          if (status === "approved") {
-            updatedDoc = {
-              $set: { status },
-              $unset: {
-                rejectionFeedback: "",
-                rejectionReason: "",
-              },
-            };
-          } else {
-            updatedDoc = {
-              $set: { status },
-            };
+          if (!category) {
+            return res.status(404).json({ error: "Category not found" });
           }
 
-          const updatedProduct = await adCollections.updateOne(
-            filter,
-            updatedDoc
+          await recordAudit(
+            req,
+            "category.update",
+            { type: "category", id: category._id },
+            before,
+            category
           );
-          if (!updatedProduct) {
-            return res.status(404).json({ error: "Advertisement not found" });
+
+          if (req.body.name) {
+            await productCollections.updateMany(
+              { categoryId: category._id },
+              { $set: { category: category.name } }
+            );
           }
-          res.send(updatedProduct);
+
+          res.send(category);
         } catch (error) {
-          res.status(500).json({ error: "Internal server error" });
+          if (error.code === 11000) {
+            return res.status(409).json({ error: "Category already exists" });
+          }
+          res.status(500).json({ error: "Failed to update category" });
         }
       }
     );
 
-    //Update a product API
+    // Update an order's status (admin)
     app.patch(
-      "/modify-product/:id",
+      "/orders/:id/status",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("vendor", "admin"),
+      verifyRole("admin"),
       async (req, res) => {
-        const productsData = req.body;
-        const id = req.params.id;
+        const { id } = req.params;
+        const { status } = req.body;
 
-        const filter = { _id: new ObjectId(id) };
-        const updatedDoc = {
-          $set: { ...productsData },
-        };
+        // Payment states are driven by Stripe, not set by hand
+        if (status !== "fulfilled") {
+          return res
+            .status(400)
+            .json({ error: "Only fulfilled can be set manually" });
+        }
 
         try {
-          const result = await productCollections.updateOne(filter, updatedDoc);
+          const order = await transitionOrder(
+            { _id: new ObjectId(id) },
+            status,
+            { fulfilledAt: new Date() }
+          );
 
-          if (result.modifiedCount === 0) {
-            return res.status(404).json({ message: "Update failed" });
+          if (!order) {
+            return res
+              .status(409)
+              .json({ error: `Order cannot move to ${status}` });
           }
 
-          res.send(result);
-        } catch (err) {
-          res.status(500).json({ error: "Failed to update product" });
+          await recordAudit(
+            req,
+            "order.status_update",
+            { type: "order", id },
+            { status: order.statusHistory.at(-2)?.status ?? null },
+            { status: order.status }
+          );
+          await notifyOrder(
+            order,
+            "order_fulfilled",
+            "Order fulfilled",
+            "Your order has been fulfilled."
+          );
+
+          res.json(order);
+        } catch (error) {
+          res.status(500).json({ error: "Failed to update order" });
         }
       }
     );
 
-    //Update a advertisement API
+    // Edit or disable a coupon (its creator or an admin)
     app.patch(
-      "/update-ad/:id",
+      "/coupons/:id",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("vendor"),
+      verifyRole("admin", "vendor"),
+      verifyOwnership(couponCollections, "createdBy"),
+      validateBody(COUPON_SCHEMA, { partial: true }),
       async (req, res) => {
-        const adId = req.params.id;
-        const updateData = req.body;
+        const existing = req.resource;
 
         try {
-          const filter = { _id: new ObjectId(adId) };
+          const result = await couponFields(req, {
+            ...req.body,
+            type: req.body.type ?? existing.type,
+            value: req.body.value ?? existing.value,
+          });
+          if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+          }
 
-          const updateDoc = {
-            $set: {
-              ...updateData,
-              updatedAt: new Date(),
-            },
-          };
+          const changes = { ...result.fields, updatedAt: new Date() };
+          if (changes.code) changes.code = changes.code.toUpperCase();
 
-          const result = await adCollections.updateOne(filter, updateDoc);
-          if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Advertisement not found" });
+          let coupon;
+          try {
+            coupon = await couponCollections.findOneAndUpdate(
+              { _id: existing._id },
+              { $set: changes },
+              { returnDocument: "after" }
+            );
+          } catch (error) {
+            if (error.code === 11000) {
+              return res.status(409).json({ error: "Coupon code is taken" });
+            }
+            throw error;
           }
 
-          res.send(result);
-        } catch (err) {
-          res.status(500).json({ error: "Failed to update advertisement" });
+          await recordAudit(
+            req,
+            "coupon.update",
+            { type: "coupon", id: coupon._id },
+            existing,
+            coupon
+          );
+          res.json(coupon);
+        } catch (error) {
+          res.status(500).json({ error: "Failed to update coupon" });
         }
       }
     );
 
-    // Reject a project API
+    // Move one line of an order through fulfillment (selling vendor)
     app.patch(
-      "/reject-product/:id",
+      "/vendor/orders/:id/lines/:index",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("admin"),
+      verifyRole("vendor", "admin"),
+      validateBody(LINE_FULFILLMENT_SCHEMA),
       async (req, res) => {
+        const index = Number(req.params.index);
+        if (!ObjectId.isValid(req.params.id) || !Number.isInteger(index)) {
+          return res.status(404).json({ error: "Order line not found" });
+        }
+
+        const { status, note } = req.body;
+
         try {
-          const { id } = req.params;
-          const { reason, feedback } = req.body;
+          const order = await paymentCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          const item = order && orderItems(order)[index];
+
+          // Lines from before snapshots name their vendor on the product
+          let vendorEmail = item?.vendorEmail;
+          if (item && !vendorEmail && ObjectId.isValid(item.productId)) {
+            const product = await productCollections.findOne(
+              { _id: new ObjectId(item.productId) },
+              { projection: { vendorEmail: 1 } }
+            );
+            vendorEmail = product?.vendorEmail;
+          }
 
-          const result = await productCollections.updateOne(
-            { _id: new ObjectId(id) },
-            {
-              $set: {
-                status: "rejected",
-                rejectionReason: reason,
-                rejectionFeedback: feedback,
-              },
-            }
-          );
+          if (
+            !item ||
+            (req.user.role === "vendor" && vendorEmail !== req.decoded.email)
+          ) {
+            return res.status(404).json({ error: "Order line not found" });
+          }
 
-          if (result.modifiedCount > 0) {
-            res.send(result);
-          } else {
-            res.status(400).send({ message: "Update failed" });
+          if (!["paid", "partially_refunded"].includes(order.status)) {
+            return res.status(409).json({
+              error: `Lines of a ${order.status} order cannot be updated`,
+            });
+          }
+
+          if ((item.refundedQuantity || 0) >= (item.quantity || 1)) {
+            return res.status(409).json({ error: "Line has been refunded" });
           }
+
+          const updated = await advanceLine(order, index, status, note);
+
+          if (!updated) {
+            return res.status(409).json({
+              error: `Line cannot move from ${lineState(item)} to ${status}`,
+            });
+          }
+
+          await recordAudit(
+            req,
+            "order.line_update",
+            { type: "order", id: order._id },
+            { line: index, fulfillmentStatus: lineState(item) },
+            { line: index, fulfillmentStatus: status, note }
+          );
+
+          const { title, verb } = LINE_UPDATES[status];
+          const line = `${item.itemName || "Your item"} x ${
+            item.quantity || 1
+          }`;
+          await notifyOrder(
+            updated,
+            "order_fulfillment",
+            title,
+            `${line} ${verb}.${note ? ` ${note}` : ""}`
+          );
+
+          res.json(updated);
         } catch (error) {
-          res
-            .status(500)
-            .send({ message: "Server error", error: error.message });
+          res.status(500).json({ error: "Failed to update order line" });
         }
       }
     );
 
-    // Reject a advertisement API
+    // Cancel an unpaid order (buyer)
     app.patch(
-      "/reject-advertisement/:id",
+      "/orders/:id/cancel",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("admin"),
+      verifyRole("user"),
       async (req, res) => {
         try {
-          const { id } = req.params;
-          const { reason, feedback } = req.body;
+          const filter = {
+            _id: new ObjectId(req.params.id),
+            buyerEmail: req.decoded.email,
+          };
 
-          const result = await adCollections.updateOne(
-            { _id: new ObjectId(id) },
-            {
-              $set: {
-                status: "rejected",
-                rejectionReason: reason,
-                rejectionFeedback: feedback,
-              },
-            }
-          );
+          const existing = await paymentCollection.findOne(filter);
 
-          if (result.modifiedCount > 0) {
-            res.send(result);
-          } else {
-            res.status(400).send({ message: "Update failed" });
+          if (!existing) {
+            return res.status(404).json({ error: "Order not found" });
+          }
+
+          if (!ORDER_TRANSITIONS.cancelled.includes(existing.status)) {
+            return res.status(409).json({
+              error: `A ${existing.status} order cannot be cancelled`,
+            });
           }
+
+          // Orders from before the lifecycle may have no intent attached
+          if (existing.paymentIntentId) {
+            await app.locals.stripe.paymentIntents.cancel(
+              existing.paymentIntentId
+            );
+          }
+
+          const order = await transitionOrder(filter, "cancelled", {
+            cancelledAt: new Date(),
+          });
+          if (order) await onOrderCancelled(order);
+
+          res.json(order);
         } catch (error) {
-          res
-            .status(500)
-            .send({ message: "Server error", error: error.message });
+          res.status(500).json({ error: "Failed to cancel order" });
         }
       }
     );
 
-    // Update cart item quantity
+    // Approve or reject a refund request. Vendors decide only on requests
+    // that cover nothing but their own lines.
     app.patch(
-      "/cart/update/:itemId",
+      "/refund-requests/:id",
       verifyToken,
-      verifyTokenEmail,
+      verifyRole("admin", "vendor"),
+      validateBody(REFUND_DECISION_SCHEMA),
       async (req, res) => {
-        const { itemId } = req.params;
-        const { email, action } = req.query;
-
-        if (!action || !["increase", "decrease"].includes(action)) {
-          return res
-            .status(400)
-            .json({ message: "Invalid action. Use 'increase' or 'decrease'." });
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).json({ error: "Refund request not found" });
         }
 
+        const { status, note } = req.body;
+        const email = req.decoded.email;
+        const filter = { _id: new ObjectId(req.params.id) };
+
         try {
-          const cartItem = await cartCollections.findOne({
-            _id: new ObjectId(itemId),
-            buyerEmail: email,
+          const existing = await refundRequestCollections.findOne(filter);
+
+          if (!existing) {
+            return res.status(404).json({ error: "Refund request not found" });
+          }
+
+          if (
+            req.user.role === "vendor" &&
+            !(
+              existing.vendorEmails.length > 0 &&
+              existing.vendorEmails.every((vendor) => vendor === email)
+            )
+          ) {
+            return res.status(403).json({
+              error: "Only an admin can decide on lines of other vendors",
+            });
+          }
+
+          // Failed refunds can be approved again
+          const decidable = {
+            ...filter,
+            status: { $in: ["requested", "failed"] },
+          };
+          const review = { reviewedBy: email, reviewedAt: new Date(), note };
+
+          if (status === "rejected") {
+            const request = await refundRequestCollections.findOneAndUpdate(
+              decidable,
+              { $set: { ...review, status: "rejected" }, $unset: { open: "" } },
+              { returnDocument: "after" }
+            );
+
+            if (!request) {
+              return res.status(409).json({
+                error: `Refund request is already ${existing.status}`,
+              });
+            }
+
+            await recordAudit(
+              req,
+              "refund_request.reject",
+              { type: "refundRequest", id: request._id },
+              { status: existing.status },
+              { status: request.status, note }
+            );
+            await notify(request.buyerEmail, "refund_rejected", {
+              title: "Refund declined",
+              message: `Your refund request was declined.${
+                note ? ` ${note}` : ""
+              }`,
+              data: { orderId: String(request.orderId) },
+            });
+
+            return res.json({ request });
+          }
+
+          let request;
+          try {
+            request = await refundRequestCollections.findOneAndUpdate(
+              decidable,
+              {
+                $set: { ...review, status: "processing", open: true },
+                $inc: { attempts: 1 },
+              },
+              { returnDocument: "after" }
+            );
+          } catch (error) {
+            // A new request was opened after this one failed
+            if (error.code !== 11000) throw error;
+            return res.status(409).json({
+              error: "A refund request for this order is already open",
+            });
+          }
+
+          if (!request) {
+            return res.status(409).json({
+              error: `Refund request is already ${existing.status}`,
+            });
+          }
+
+          const before = await paymentCollection.findOne({
+            _id: request.orderId,
           });
 
-          if (!cartItem) {
-            return res.status(404).json({ message: "Item not found" });
+          let result;
+          try {
+            result = await issueRefund(before, request);
+          } catch (error) {
+            await refundRequestCollections.updateOne(filter, {
+              $set: { status: "failed", failureMessage: error.message },
+              $unset: { open: "" },
+            });
+            return res.status(502).json({ error: "Stripe refund failed" });
           }
 
-          // Prevent decreasing below 1
-          if (action === "decrease" && cartItem.quantity <= 1) {
-            return res
-              .status(400)
-              .json({ message: "Quantity cannot be less than 1" });
+          if (result.error) {
+            await refundRequestCollections.updateOne(filter, {
+              $set: { status: "failed", failureMessage: result.error },
+              $unset: { open: "" },
+            });
+            return res.status(result.status).json({ error: result.error });
           }
 
-          const increment = action === "increase" ? 1 : -1;
+          request = await refundRequestCollections.findOneAndUpdate(
+            filter,
+            {
+              $set: {
+                status: "refunded",
+                amount: result.amount,
+                stripeRefundId: result.refund.id,
+                refundedAt: new Date(),
+              },
+              $unset: { open: "", failureMessage: "" },
+            },
+            { returnDocument: "after" }
+          );
 
-          const result = await cartCollections.updateOne(
-            { _id: new ObjectId(itemId), buyerEmail: email },
-            { $inc: { quantity: increment } }
+          await recordAudit(
+            req,
+            "order.refund",
+            { type: "order", id: before._id },
+            {
+              status: before.status,
+              amountRefunded: before.amountRefunded || 0,
+            },
+            {
+              status: result.order.status,
+              amountRefunded: result.order.amountRefunded,
+            }
+          );
+          await notifyOrder(
+            result.order,
+            "order_refunded",
+            "Order refunded",
+            `$${result.amount.toFixed(2)} was refunded.`
           );
 
-          res.json(result);
+          res.json({ request, order: result.order });
         } catch (error) {
-          res.status(500).json({ error: "Server error" });
+          res.status(500).json({ error: "Failed to update refund request" });
         }
       }
     );
 
-    // Update vendor application status
+    // Mark every notification of the signed-in user read
+    app.patch("/notifications/read-all", verifyToken, async (req, res) => {
+      try {
+        const result = await notificationCollections.updateMany(
+          { email: req.decoded.email, read: false },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        res.json({ modifiedCount: result.modifiedCount });
+      } catch (err) {
+        res.status(500).json({ error: "Failed to update notifications" });
+      }
+    });
+
+    // Mark one notification read
+    app.patch("/notifications/:id/read", verifyToken, async (req, res) => {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+
+      try {
+        const notification = await notificationCollections.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id), email: req.decoded.email },
+          { $set: { read: true, readAt: new Date() } },
+          { returnDocument: "after" }
+        );
+
+        if (!notification) {
+          return res.status(404).json({ error: "Notification not found" });
+        }
+        res.send(notification);
+      } catch (err) {
+        res.status(500).json({ error: "Failed to update notification" });
+      }
+    });
+
+    // Pause, resume or retune a price alert
     app.patch(
-      "/vendor-requests/:vendorId",
+      "/alerts/:id",
       verifyToken,
-      verifyTokenEmail,
-      verifyRole("admin"),
+      validateBody(PRICE_ALERT_UPDATE_SCHEMA, { partial: true }),
       async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).json({ error: "Alert not found" });
+        }
+
         try {
-          const { vendorId } = req.params;
-          const { status } = req.body;
+          const alert = await priceAlertCollections.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), email: req.decoded.email },
+            { $set: { ...req.body, updatedAt: new Date() } },
+            { returnDocument: "after" }
+          );
 
-          if (!["pending", "approved", "rejected"].includes(status)) {
-            return res.status(400).json({ message: "Invalid status value" });
+          if (!alert) {
+            return res.status(404).json({ error: "Alert not found" });
           }
+          res.send(alert);
+        } catch (err) {
+          res.status(500).json({ error: "Failed to update alert" });
+        }
+      }
+    );
 
-          // Find the vendor application first
-          const vendorApplication = await vendorsCollection.findOne({
-            _id: new ObjectId(vendorId),
-          });
+    // =============================DELETE API=============================
 
-          if (!vendorApplication) {
-            return res
-              .status(404)
-              .json({ message: "Vendor application not found" });
-          }
+    // Delete a price alert
+    app.delete("/alerts/:id", verifyToken, async (req, res) => {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: "Alert not found" });
+      }
 
-          // Prevent changing status if already approved or rejected
-          if (
-            vendorApplication.vendor_status === "approved" ||
-            vendorApplication.vendor_status === "rejected"
-          ) {
-            return res.status(400).json({
-              message: `Cannot update. Vendor is already ${vendorApplication.vendor_status}`,
-            });
-          }
+      try {
+        const result = await priceAlertCollections.deleteOne({
+          _id: new ObjectId(req.params.id),
+          email: req.decoded.email,
+        });
 
-          // Update vendor_status in vendorApplications
-          await vendorsCollection.updateOne(
-            { _id: new ObjectId(vendorId) },
-            { $set: { vendor_status: status } }
-          );
+        if (result.deletedCount === 0) {
+          return res.status(404).json({ error: "Alert not found" });
+        }
+        res.send(result);
+      } catch (err) {
+        res.status(500).json({ error: "Failed to delete alert" });
+      }
+    });
 
-          // If approved, update user's role in the users collection
-          if (status === "approved") {
-            await usersCollection.updateOne(
-              { email: vendorApplication.email },
-              { $set: { role: "vendor" } }
+    // Delete a coupon; orders keep their snapshot of it
+    app.delete(
+      "/coupons/:id",
+      verifyToken,
+      verifyRole("admin", "vendor"),
+      verifyOwnership(couponCollections, "createdBy"),
+      async (req, res) => {
+        try {
+          const result = await couponCollections.deleteOne({
+            _id: req.resource._id,
+          });
+          if (result.deletedCount > 0) {
+            await recordAudit(
+              req,
+              "coupon.delete",
+              { type: "coupon", id: req.resource._id },
+              req.resource,
+              null
             );
           }
-
-          res
-            .status(200)
-            .json({ message: "Vendor status updated successfully" });
-        } catch (err) {
-          res.status(500).json({ message: "Internal server error" });
+          res.json({ deletedCount: result.deletedCount });
+        } catch (error) {
+          res.status(500).json({ error: "Failed to delete coupon" });
         }
       }
     );
 
-    // =============================DELETE API=============================
-
     // DELETE a product
     app.delete(
       "/delete-products/:id",
       verifyToken,
-      verifyTokenEmail,
       verifyRole("vendor", "admin"),
+      verifyOwnership(productCollections, "vendorEmail"),
       async (req, res) => {
         try {
           const id = req.params.id;
           const filter = { _id: new ObjectId(id) };
           const result = await productCollections.deleteOne(filter);
+          if (result.deletedCount > 0) {
+            await recordAudit(
+              req,
+              "product.delete",
+              { type: "product", id },
+              req.resource,
+              null
+            );
+          }
           res.send(result);
         } catch (err) {
           res.status(500).json({ error: "Failed to delete product" });
@@ -1495,13 +8009,22 @@ async function run() {
     app.delete(
       "/delete-ad/:id",
       verifyToken,
-      verifyTokenEmail,
       verifyRole("vendor", "admin"),
+      verifyOwnership(adCollections, "adCreatedBy"),
       async (req, res) => {
         try {
           const id = req.params.id;
           const filter = { _id: new ObjectId(id) };
           const result = await adCollections.deleteOne(filter);
+          if (result.deletedCount > 0) {
+            await recordAudit(
+              req,
+              "ad.delete",
+              { type: "ad", id },
+              req.resource,
+              null
+            );
+          }
           res.send(result);
         } catch (err) {
           res.status(500).json({ error: "Failed to delete product" });
@@ -1509,44 +8032,126 @@ async function run() {
       }
     );
 
-    // Delete a product from Cart
+    // DELETE a market (admin). Markets are archived rather than removed:
+    // their products keep the market name and are flagged marketArchived.
     app.delete(
-      "/delete-productCart/:itemId",
+      "/markets/:id",
       verifyToken,
-      verifyTokenEmail,
+      verifyRole("admin"),
       async (req, res) => {
-        const { itemId } = req.params;
-        const { email } = req.query;
+        try {
+          const market = await marketCollections.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), deleted: false },
+            { $set: { deleted: true, deletedAt: new Date() } }
+          );
+
+          if (!market) {
+            return res.status(404).json({ error: "Market not found" });
+          }
+
+          await recordAudit(
+            req,
+            "market.delete",
+            { type: "market", id: market._id },
+            market,
+            { ...market, deleted: true }
+          );
+
+          const result = await productCollections.updateMany(
+            { marketId: market._id },
+            { $set: { marketArchived: true } }
+          );
+
+          res.json({ deleted: true, productsAffected: result.modifiedCount });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to delete market" });
+        }
+      }
+    );
 
+    // DELETE a category (admin). Products keep the category name.
+    app.delete(
+      "/categories/:id",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
         try {
-          const result = await cartCollections.deleteOne({
-            _id: new ObjectId(itemId),
-            buyerEmail: email,
-          });
+          const category = await categoryCollections.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), deleted: false },
+            { $set: { deleted: true, deletedAt: new Date() } }
+          );
 
-          res.json({ message: "Item removed successfully" });
+          if (!category) {
+            return res.status(404).json({ error: "Category not found" });
+          }
+
+          await recordAudit(
+            req,
+            "category.delete",
+            { type: "category", id: category._id },
+            category,
+            { ...category, deleted: true }
+          );
+          res.json({ deleted: true });
+        } catch (err) {
+          res.status(500).json({ error: "Failed to delete category" });
+        }
+      }
+    );
+
+    // DELETE a comment (author or admin)
+    app.delete(
+      "/comments/:id",
+      verifyToken,
+      verifyRole("user", "vendor", "admin"),
+      verifyOwnership(commentsCollection, "userEmail"),
+      async (req, res) => {
+        try {
+          const result = await commentsCollection.deleteOne({
+            _id: req.resource._id,
+          });
+          if (result.deletedCount > 0) {
+            await recordAudit(
+              req,
+              "comment.delete",
+              { type: "comment", id: req.resource._id },
+              req.resource,
+              null
+            );
+          }
+          res.json(result);
         } catch (error) {
-          res.status(500).json({ error: "Server error" });
+          res.status(500).json({ error: "Failed to delete comment" });
         }
       }
     );
 
+    // Delete a product from Cart
+    app.delete("/delete-productCart/:itemId", verifyToken, async (req, res) => {
+      const { itemId } = req.params;
+      const email = req.decoded.email;
+
+      try {
+        const result = await cartCollections.deleteOne({
+          _id: new ObjectId(itemId),
+          buyerEmail: email,
+        });
+
+        res.json({ message: "Item removed successfully" });
+      } catch (error) {
+        res.status(500).json({ error: "Server error" });
+      }
+    });
+
     // Clear all products from Cart
     app.delete(
       "/clear-cart",
       verifyToken,
-      verifyTokenEmail,
       verifyRole("user"),
       async (req, res) => {
-        const { email } = req.query;
-
-        if (!email) {
-          return res.status(400).json({ error: "Email is required." });
-        }
-
         try {
           const result = await cartCollections.deleteMany({
-            buyerEmail: email,
+            buyerEmail: req.decoded.email,
           });
 
           res.status(200).json({
@@ -1563,14 +8168,12 @@ async function run() {
     app.delete(
       "/delete-wishlist/:id",
       verifyToken,
-      verifyTokenEmail,
       verifyRole("user"),
       async (req, res) => {
         try {
           const wishlistId = req.params.id;
-          const email = req.query.email;
 
-          const query = { productId: wishlistId };
+          const query = { productId: wishlistId, email: req.decoded.email };
 
           // Delete the wishlist item
           const result = await wishCollections.deleteOne(query);
@@ -1581,6 +8184,217 @@ async function run() {
       }
     );
 
+    // =============================INDEXES=============================
+    const ensureIndexes = async () => {
+      // Names are unique among markets and categories that are not deleted
+      await marketCollections.createIndex(
+        { slug: 1 },
+        { unique: true, partialFilterExpression: { deleted: false } }
+      );
+      await categoryCollections.createIndex(
+        { slug: 1 },
+        { unique: true, partialFilterExpression: { deleted: false } }
+      );
+      await productCollections.createIndex({ marketId: 1 });
+      await marketCollections.createIndex({ location: "2dsphere" });
+      await productCollections.createIndex(
+        { itemName: "text", itemDescription: "text" },
+        { name: "product_text", weights: { itemName: 3 } }
+      );
+      await productCollections.createIndex({ status: 1, createdAt: -1 });
+      await productCollections.createIndex({ status: 1, marketName: 1 });
+      await productCollections.createIndex({ status: 1, pricePerUnit: 1 });
+      await refreshTokenCollection.createIndex(
+        { tokenHash: 1 },
+        { unique: true }
+      );
+      await refreshTokenCollection.createIndex({ family: 1 });
+      await refreshTokenCollection.createIndex({ email: 1 });
+      // Let MongoDB drop refresh tokens once they have expired
+      await refreshTokenCollection.createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+      );
+      // Events only need to outlive the change streams that deliver them
+      await eventCollections.createIndex(
+        { createdAt: 1 },
+        { expireAfterSeconds: 60 * 60 }
+      );
+      await streamTicketCollections.createIndex(
+        { ticketHash: 1 },
+        { unique: true }
+      );
+      await streamTicketCollections.createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+      );
+      await adEventClientCollections.createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+      );
+      await reservationCollection.createIndex({ orderId: 1, productId: 1 });
+      await reservationCollection.createIndex({ status: 1, expiresAt: 1 });
+      // A PaymentIntent belongs to one order. The unique index replaces
+      // the plain one older deployments created.
+      await paymentCollection.dropIndex("paymentIntentId_1").catch((error) => {
+        if (!["IndexNotFound", "NamespaceNotFound"].includes(error.codeName)) {
+          throw error;
+        }
+      });
+      await paymentCollection.createIndex(
+        { paymentIntentId: 1 },
+        {
+          name: "paymentIntentId_unique",
+          unique: true,
+          partialFilterExpression: { paymentIntentId: { $type: "string" } },
+        }
+      );
+      await paymentCollection.createIndex({ buyerEmail: 1, createdAt: -1 });
+      // One open order per checkout
+      await paymentCollection.createIndex(
+        { buyerEmail: 1, checkoutKey: 1 },
+        {
+          unique: true,
+          partialFilterExpression: {
+            status: "pending",
+            checkoutKey: { $type: "string" },
+          },
+        }
+      );
+      await paymentCollection.createIndex({ status: 1, createdAt: -1 });
+      await paymentCollection.createIndex({ status: 1, paidAt: -1 });
+      await paymentCollection.createIndex({
+        "items.vendorEmail": 1,
+        paidAt: -1,
+      });
+      await productCollections.createIndex({ reviewedAt: -1 });
+      await priceHistoryCollection.createIndex({ itemKey: 1, date: -1 });
+      await productCollections.createIndex({ itemKey: 1 });
+      await priceAlertCollections.createIndex({ email: 1, createdAt: -1 });
+      await priceAlertCollections.createIndex({ status: 1, productId: 1 });
+      await priceAlertCollections.createIndex({ status: 1, itemKey: 1 });
+      await alertEventCollections.createIndex({ sentAt: 1, email: 1 });
+      await mailOutboxCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+      await mailOutboxCollection.createIndex({ createdAt: -1 });
+      await notificationCollections.createIndex({ email: 1, createdAt: -1 });
+      await notificationCollections.createIndex({ email: 1, read: 1 });
+      await auditLogCollections.createIndex({ createdAt: -1 });
+      await auditLogCollections.createIndex({
+        "actor.email": 1,
+        createdAt: -1,
+      });
+      await auditLogCollections.createIndex({
+        "target.type": 1,
+        "target.id": 1,
+        createdAt: -1,
+      });
+      await subOrderCollections.createIndex(
+        { parentOrderId: 1, vendorEmail: 1 },
+        { unique: true }
+      );
+      await subOrderCollections.createIndex({ vendorEmail: 1, paidAt: -1 });
+      await subOrderCollections.createIndex({ vendorEmail: 1, status: 1 });
+      // Listing sorts, after the fields each listing filters on
+      for (const field of Object.values(ORDER_SORT_FIELDS)) {
+        await paymentCollection.createIndex({ [field]: -1, _id: -1 });
+        await paymentCollection.createIndex({
+          buyerEmail: 1,
+          [field]: -1,
+          _id: -1,
+        });
+      }
+      await paymentCollection.createIndex({
+        status: 1,
+        createdAt: -1,
+        _id: -1,
+      });
+      for (const field of Object.values(SUB_ORDER_SORT_FIELDS)) {
+        await subOrderCollections.createIndex({
+          vendorEmail: 1,
+          [field]: -1,
+          _id: -1,
+        });
+      }
+      for (const field of Object.values(COUPON_SORT_FIELDS)) {
+        await couponCollections.createIndex({ [field]: -1, _id: -1 });
+        await couponCollections.createIndex({
+          createdBy: 1,
+          [field]: -1,
+          _id: -1,
+        });
+      }
+      await adCollections.createIndex({ status: 1, placement: 1, endsAt: 1 });
+      await adStatsCollection.createIndex(
+        { adId: 1, day: 1 },
+        { unique: true }
+      );
+      await couponCollections.createIndex({ code: 1 }, { unique: true });
+      await couponCollections.createIndex({ createdBy: 1, createdAt: -1 });
+      await paymentCollection.createIndex({
+        buyerEmail: 1,
+        "discount.couponId": 1,
+      });
+      // At most one open refund request per order
+      await refundRequestCollections.createIndex(
+        { orderId: 1 },
+        { unique: true, partialFilterExpression: { open: true } }
+      );
+      await refundRequestCollections.createIndex({
+        buyerEmail: 1,
+        createdAt: -1,
+      });
+      await refundRequestCollections.createIndex({
+        vendorEmails: 1,
+        createdAt: -1,
+      });
+      await refundRequestCollections.createIndex({ status: 1, createdAt: -1 });
+      await priceHistoryCollection.createIndex({ productId: 1, date: -1 });
+    };
+
+    ensureIndexes().catch(console.dir);
+
+    // Install the request schemas as collection validators. "moderate"
+    // keeps documents written before a schema existed editable.
+    const applyValidators = async () => {
+      const db = client.db("usersDB");
+      const validators = {
+        products: toJsonSchema(PRODUCT_UPDATE_SCHEMA),
+        ad: toJsonSchema({
+          ...AD_SCHEMA,
+          status: { type: "string", enum: ["pending", "approved", "rejected"] },
+        }),
+        vendorApplications: toJsonSchema(VENDOR_APPLICATION_SCHEMA),
+        markets: toJsonSchema({
+          name: MARKET_SCHEMA.name,
+          address: MARKET_SCHEMA.address,
+          description: MARKET_SCHEMA.description,
+          openingHours: MARKET_SCHEMA.openingHours,
+        }),
+        categories: toJsonSchema(CATEGORY_SCHEMA),
+        comments: toJsonSchema(COMMENT_SCHEMA),
+        cart: toJsonSchema(CART_ITEM_SCHEMA),
+        payments: toJsonSchema(PAYMENT_SCHEMA, { partial: true }),
+        priceAlerts: toJsonSchema(PRICE_ALERT_SCHEMA),
+        coupons: toJsonSchema(COUPON_SCHEMA),
+      };
+
+      for (const [name, $jsonSchema] of Object.entries(validators)) {
+        const options = {
+          validator: { $jsonSchema },
+          validationLevel: "moderate",
+        };
+
+        try {
+          await db.command({ collMod: name, ...options });
+        } catch (error) {
+          if (error.codeName !== "NamespaceNotFound") throw error;
+          await db.createCollection(name, options);
+        }
+      }
+    };
+
+    applyValidators().catch(console.dir);
+
     // Send a ping to confirm a successful connection
     // await client.db("admin").command({ ping: 1 });
     // console.log("Pinged your deployment. You successfully connected to MongoDB!");
@@ -1590,6 +8404,11 @@ async function run() {
 }
 run().catch(console.dir);
 
-app.listen(port, () => {
-  console.log("Server is running on", port);
-});
+// Listen only when run directly. Vercel and the tests import the app.
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log("Server is running on", port);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,158 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { hasDatabase, startApp, accessToken } = require("./helpers");
+
+let ctx;
+let verifiedTokens;
+
+before(async () => {
+  ctx = await startApp();
+
+  // Stand-in for firebase-admin: ID tokens are looked up in a table
+  verifiedTokens = {
+    "good-token": { email: "buyer@example.com", email_verified: true },
+    "unverified-token": { email: "buyer@example.com", email_verified: false },
+    "phone-token": { phone_number: "+15555550100", email_verified: false },
+  };
+  ctx.app.locals.verifyIdToken = async (idToken) => {
+    if (!verifiedTokens[idToken]) throw new Error("invalid token");
+    return verifiedTokens[idToken];
+  };
+});
+
+after(() => ctx.stop());
+
+test("/jwt requires an idToken", async () => {
+  const res = await ctx.request("POST", "/jwt", {
+    body: { email: "admin@example.com" },
+  });
+  assert.equal(res.status, 400);
+});
+
+test("token endpoints answer 400 to requests without a body", async () => {
+  for (const path of ["/jwt", "/jwt/refresh", "/logout"]) {
+    const res = await ctx.request("POST", path);
+    assert.equal(res.status, 400, path);
+  }
+});
+
+test("/jwt rejects ID tokens the verifier does not accept", async () => {
+  const res = await ctx.request("POST", "/jwt", {
+    body: { idToken: "forged" },
+  });
+  assert.equal(res.status, 401);
+});
+
+test("/jwt rejects accounts without an email", async () => {
+  const res = await ctx.request("POST", "/jwt", {
+    body: { idToken: "phone-token" },
+  });
+  assert.equal(res.status, 401);
+});
+
+test("/jwt rejects unverified emails", async () => {
+  const res = await ctx.request("POST", "/jwt", {
+    body: { idToken: "unverified-token" },
+  });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.message, "Firebase email is not verified");
+});
+
+// POST /alerts validates its body right after verifyToken, so a 400
+// means the token was accepted without touching the database
+const probe = (token) => ctx.request("POST", "/alerts", { token, body: {} });
+
+test("verifyToken accepts access tokens", async () => {
+  const res = await probe(accessToken("buyer@example.com"));
+  assert.equal(res.status, 400);
+});
+
+test("verifyToken rejects missing and malformed tokens", async () => {
+  assert.equal((await probe()).status, 401);
+  assert.equal((await probe("not-a-jwt")).status, 403);
+});
+
+test("verifyToken rejects legacy tokens without a type or expiry", async () => {
+  const legacy = jwt.sign(
+    { email: "admin@example.com" },
+    process.env.JWT_SECRET_KEY
+  );
+  assert.equal((await probe(legacy)).status, 403);
+});
+
+test("verifyToken rejects access tokens without an expiry", async () => {
+  const token = jwt.sign(
+    { email: "admin@example.com", type: "access" },
+    process.env.JWT_SECRET_KEY
+  );
+  assert.equal((await probe(token)).status, 403);
+});
+
+test("verifyToken rejects expired tokens", async () => {
+  const token = accessToken("buyer@example.com", { expiresIn: -10 });
+  assert.equal((await probe(token)).status, 403);
+});
+
+test("verifyToken rejects tokens signed with another secret", async () => {
+  const token = jwt.sign(
+    { email: "admin@example.com", type: "access" },
+    "another-secret",
+    { expiresIn: "15m" }
+  );
+  assert.equal((await probe(token)).status, 403);
+});
+
+test(
+  "/jwt issues tokens and rotates refresh tokens",
+  { skip: !hasDatabase && "TEST_MONGODB_URI is not set" },
+  async () => {
+    await ctx.app.locals.client
+      .db("usersDB")
+      .collection("refreshTokens")
+      .deleteMany({});
+
+    const login = await ctx.request("POST", "/jwt", {
+      body: { idToken: "good-token" },
+    });
+    assert.equal(login.status, 200);
+    assert.equal(jwt.decode(login.body.token).email, "buyer@example.com");
+    assert.equal((await probe(login.body.token)).status, 400);
+
+    const refreshed = await ctx.request("POST", "/jwt/refresh", {
+      body: { refreshToken: login.body.refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, login.body.refreshToken);
+
+    // Replaying the rotated token revokes the whole session
+    const replayed = await ctx.request("POST", "/jwt/refresh", {
+      body: { refreshToken: login.body.refreshToken },
+    });
+    assert.equal(replayed.status, 401);
+
+    const afterReplay = await ctx.request("POST", "/jwt/refresh", {
+      body: { refreshToken: refreshed.body.refreshToken },
+    });
+    assert.equal(afterReplay.status, 401);
+  }
+);
+
+test(
+  "/logout revokes the session",
+  { skip: !hasDatabase && "TEST_MONGODB_URI is not set" },
+  async () => {
+    const login = await ctx.request("POST", "/jwt", {
+      body: { idToken: "good-token" },
+    });
+    const logout = await ctx.request("POST", "/logout", {
+      body: { refreshToken: login.body.refreshToken },
+    });
+    assert.equal(logout.status, 200);
+
+    const refreshed = await ctx.request("POST", "/jwt/refresh", {
+      body: { refreshToken: login.body.refreshToken },
+    });
+    assert.equal(refreshed.status, 401);
+  }
+);
@@ -0,0 +1,48 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { hasDatabase, startApp, accessToken } = require("./helpers");
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+});
+
+after(() => ctx.stop());
+
+// Open a stream and close it as soon as the status is known
+const openStream = async (path, headers = {}) => {
+  const controller = new AbortController();
+  const res = await fetch(ctx.baseUrl + path, {
+    headers,
+    signal: controller.signal,
+  });
+  controller.abort();
+  return res.status;
+};
+
+test("/events no longer takes the access token in the URL", async () => {
+  const token = accessToken("buyer@example.com");
+  assert.equal(await openStream(`/events?token=${token}`), 401);
+});
+
+test(
+  "stream tickets work once",
+  { skip: !hasDatabase && "TEST_MONGODB_URI is not set" },
+  async () => {
+    const db = ctx.app.locals.client.db("usersDB");
+    await db.collection("users").deleteMany({});
+    await db
+      .collection("users")
+      .insertOne({ email: "buyer@example.com", role: "user" });
+
+    const issued = await ctx.request("POST", "/events/ticket", {
+      token: accessToken("buyer@example.com"),
+    });
+    assert.equal(issued.status, 201);
+
+    const path = `/events?ticket=${issued.body.ticket}`;
+    assert.equal(await openStream(path), 200);
+    assert.equal(await openStream(path), 403);
+  }
+);
@@ -0,0 +1,150 @@
+const { once } = require("node:events");
+const net = require("node:net");
+const jwt = require("jsonwebtoken");
+
+// Tests that need MongoDB run against TEST_MONGODB_URI and are skipped
+// without it. Point it at a throwaway server: the suites empty the
+// collections they use.
+const hasDatabase = Boolean(process.env.TEST_MONGODB_URI);
+
+process.env.MONGODB_URI = hasDatabase
+  ? process.env.TEST_MONGODB_URI
+  : "mongodb://127.0.0.1:1/?serverSelectionTimeoutMS=500";
+process.env.JWT_SECRET_KEY = "test-secret";
+process.env.STRIPE_SECRET_KEY = "sk_test_123";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+process.env.CRON_SECRET = "test-cron-secret";
+process.env.EMAIL_USER = "noreply@marketpulse.test";
+
+// Start the app on a free port
+const startApp = async () => {
+  const app = require("../index.js");
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Send a JSON request and return { status, body }
+  const request = async (method, path, { token, body, headers } = {}) => {
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = text;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      // Not JSON; keep the text
+    }
+    return { status: res.status, body: json };
+  };
+
+  const stop = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await app.locals.client.close();
+  };
+
+  return { app, baseUrl, request, stop };
+};
+
+// An access token like the ones /jwt issues
+const accessToken = (email, options = {}) =>
+  jwt.sign({ email, type: "access" }, process.env.JWT_SECRET_KEY, {
+    expiresIn: "15m",
+    ...options,
+  });
+
+// Poll until check returns a truthy value
+const waitFor = async (check, { timeout = 5000, interval = 50 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+};
+
+// Minimal SMTP server that accepts every message and keeps it in memory
+const smtpSink = async () => {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let inData = false;
+
+    socket.write("220 sink ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end === -1) return;
+
+          const raw = buffer.slice(0, end);
+          const subject = raw.match(/^Subject: (.*)$/m);
+          messages.push({ ...envelope, subject: subject?.[1], raw });
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write("250 OK\r\n");
+          continue;
+        }
+
+        const eol = buffer.indexOf("\r\n");
+        if (eol === -1) return;
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+        const address = line.match(/<([^>]*)>/)?.[1];
+
+        switch (line.slice(0, 4).toUpperCase()) {
+          case "EHLO":
+          case "HELO":
+            socket.write("250 sink\r\n");
+            break;
+          case "MAIL":
+            envelope = { from: address, to: [] };
+            socket.write("250 OK\r\n");
+            break;
+          case "RCPT":
+            envelope.to.push(address);
+            socket.write("250 OK\r\n");
+            break;
+          case "DATA":
+            inData = true;
+            socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+            break;
+          case "QUIT":
+            socket.end("221 Bye\r\n");
+            return;
+          default:
+            socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    messages,
+    transport: {
+      host: "127.0.0.1",
+      port: server.address().port,
+      secure: false,
+      ignoreTLS: true,
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = { hasDatabase, startApp, accessToken, waitFor, smtpSink };
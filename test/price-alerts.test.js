@@ -0,0 +1,212 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const nodemailer = require("nodemailer");
+const {
+  hasDatabase,
+  startApp,
+  accessToken,
+  waitFor,
+  smtpSink,
+} = require("./helpers");
+
+describe(
+  "price alerts",
+  { skip: !hasDatabase && "TEST_MONGODB_URI is not set" },
+  () => {
+    const admin = accessToken("admin@example.com");
+    const buyer = accessToken("buyer@example.com");
+    let ctx;
+    let sink;
+    let db;
+
+    // Approved listings of the same item by two vendors
+    const products = {
+      kawran: {
+        itemName: "Tomato",
+        marketName: "Kawran Bazar",
+        vendorEmail: "a@vendor.test",
+      },
+      newMarket: {
+        itemName: "Tomatoes",
+        marketName: "New Market",
+        vendorEmail: "b@vendor.test",
+      },
+    };
+
+    const setPrice = (product, pricePerUnit) =>
+      ctx.request("PATCH", `/modify-product/${product._id}`, {
+        token: admin,
+        body: { pricePerUnit },
+      });
+
+    // Mail is sent in the background; wait for the outbox to drain
+    const mailSettled = () =>
+      waitFor(
+        async () =>
+          (await db
+            .collection("mailOutbox")
+            .countDocuments({ status: "pending" })) === 0
+      );
+
+    before(async () => {
+      sink = await smtpSink();
+      ctx = await startApp();
+      ctx.app.locals.mailTransport = nodemailer.createTransport(sink.transport);
+      db = ctx.app.locals.client.db("usersDB");
+
+      // Validators are installed in the background at startup
+      await waitFor(async () => {
+        const [info] = await db
+          .listCollections({ name: "priceAlerts" })
+          .toArray();
+        return info?.options?.validator;
+      });
+    });
+
+    after(async () => {
+      await ctx.stop();
+      await sink.close();
+    });
+
+    beforeEach(async () => {
+      for (const name of [
+        "users",
+        "products",
+        "priceAlerts",
+        "priceAlertEvents",
+        "mailOutbox",
+        "priceHistory",
+      ]) {
+        await db.collection(name).deleteMany({});
+      }
+      sink.messages.length = 0;
+
+      await db.collection("users").insertMany([
+        { email: "admin@example.com", role: "admin" },
+        { email: "buyer@example.com", role: "user" },
+      ]);
+
+      products.kawran.pricePerUnit = 10;
+      products.newMarket.pricePerUnit = 20;
+      for (const product of Object.values(products)) {
+        delete product._id;
+        const { insertedId } = await db
+          .collection("products")
+          .insertOne({ ...product, date: "2025-07-01", status: "approved" });
+        product._id = insertedId;
+      }
+    });
+
+    test("stores item alerts without null fields", async () => {
+      const res = await ctx.request("POST", "/alerts", {
+        token: buyer,
+        body: { itemName: "tomato", type: "below", threshold: 8 },
+      });
+      assert.equal(res.status, 201);
+
+      const alert = await db.collection("priceAlerts").findOne({});
+      assert.equal(alert.itemKey, "tomato");
+      assert.equal("productId" in alert, false);
+      assert.equal("marketName" in alert, false);
+    });
+
+    test("a below alert emails once per crossing", async () => {
+      const created = await ctx.request("POST", "/alerts", {
+        token: buyer,
+        body: {
+          productId: String(products.kawran._id),
+          type: "below",
+          threshold: 8,
+        },
+      });
+      assert.equal(created.status, 201);
+
+      await setPrice(products.kawran, 9);
+      await setPrice(products.kawran, 7);
+      await setPrice(products.kawran, 6);
+      await mailSettled();
+
+      assert.equal(sink.messages.length, 1);
+      assert.deepEqual(sink.messages[0].to, ["buyer@example.com"]);
+      assert.equal(sink.messages[0].subject, "Price alert: Tomato");
+    });
+
+    test("an item alert watches every market", async () => {
+      await ctx.request("POST", "/alerts", {
+        token: buyer,
+        body: { itemName: "Tomato", type: "below", threshold: 15 },
+      });
+
+      await setPrice(products.newMarket, 12);
+      await mailSettled();
+
+      assert.equal(sink.messages.length, 1);
+      assert.equal(sink.messages[0].subject, "Price alert: Tomatoes");
+    });
+
+    test("a change alert compares each listing with its own price", async () => {
+      await ctx.request("POST", "/alerts", {
+        token: buyer,
+        body: { itemName: "Tomato", type: "change_pct", threshold: 20 },
+      });
+
+      // Small moves on both listings: the 10 vs 20 gap between vendors
+      // must not count as a change
+      await setPrice(products.kawran, 10.5);
+      await setPrice(products.newMarket, 20.5);
+      await setPrice(products.kawran, 11);
+      await setPrice(products.newMarket, 21);
+      await mailSettled();
+      assert.equal(sink.messages.length, 0);
+
+      await setPrice(products.kawran, 14);
+      await mailSettled();
+      assert.equal(sink.messages.length, 1);
+    });
+
+    test("digest alerts are sent together by the digest cron", async () => {
+      await ctx.request("POST", "/alerts", {
+        token: buyer,
+        body: {
+          itemName: "Tomato",
+          type: "below",
+          threshold: 15,
+          delivery: "digest",
+        },
+      });
+      await ctx.request("POST", "/alerts", {
+        token: buyer,
+        body: {
+          productId: String(products.kawran._id),
+          type: "below",
+          threshold: 9,
+          delivery: "digest",
+        },
+      });
+
+      await setPrice(products.kawran, 8);
+      await setPrice(products.newMarket, 14);
+      await mailSettled();
+      assert.equal(sink.messages.length, 0);
+
+      const digest = await ctx.request("GET", "/cron/price-alert-digest", {
+        headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` },
+      });
+      assert.equal(digest.status, 200);
+      assert.equal(digest.body.recipients, 1);
+      await mailSettled();
+
+      // Kawran Bazar trips both alerts, New Market the item alert
+      assert.equal(sink.messages.length, 1);
+      assert.equal(
+        sink.messages[0].subject,
+        "Your MarketPulse price alerts (3)"
+      );
+
+      const unsent = await db
+        .collection("priceAlertEvents")
+        .countDocuments({ sentAt: null });
+      assert.equal(unsent, 0);
+    });
+  }
+);
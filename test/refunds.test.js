@@ -0,0 +1,183 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const nodemailer = require("nodemailer");
+const { hasDatabase, startApp, accessToken } = require("./helpers");
+
+describe(
+  "refunds",
+  { skip: !hasDatabase && "TEST_MONGODB_URI is not set" },
+  () => {
+    const admin = accessToken("admin@example.com");
+    const buyer = accessToken("buyer@example.com");
+    let ctx;
+    let db;
+    let orderId;
+    // Calls to refunds.create, and the error the next one throws
+    let refundCalls;
+    let refundError;
+
+    const order = () => db.collection("payments").findOne({ _id: orderId });
+
+    const requestRefund = (body) =>
+      ctx.request("POST", `/orders/${orderId}/refund-requests`, {
+        token: buyer,
+        body: { reason: "Damaged", ...body },
+      });
+
+    const approve = (requestId) =>
+      ctx.request("PATCH", `/refund-requests/${requestId}`, {
+        token: admin,
+        body: { status: "approved" },
+      });
+
+    before(async () => {
+      ctx = await startApp();
+      ctx.app.locals.mailTransport = nodemailer.createTransport({
+        jsonTransport: true,
+      });
+      ctx.app.locals.stripe = {
+        refunds: {
+          create: async (params, options) => {
+            refundCalls.push({ params, options });
+            if (refundError) throw refundError;
+            return {
+              id: `re_${refundCalls.length}`,
+              amount: params.amount,
+              status: "succeeded",
+            };
+          },
+        },
+      };
+      db = ctx.app.locals.client.db("usersDB");
+    });
+
+    after(() => ctx.stop());
+
+    beforeEach(async () => {
+      for (const name of [
+        "users",
+        "payments",
+        "subOrders",
+        "refundRequests",
+        "mailOutbox",
+      ]) {
+        await db.collection(name).deleteMany({});
+      }
+      refundCalls = [];
+      refundError = null;
+
+      await db.collection("users").insertMany([
+        { email: "admin@example.com", role: "admin" },
+        { email: "buyer@example.com", role: "user" },
+      ]);
+
+      const now = new Date();
+      const line = {
+        price: 10,
+        vendorEmail: "a@vendor.test",
+        marketName: "Kawran Bazar",
+      };
+      const { insertedId } = await db.collection("payments").insertOne({
+        buyerEmail: "buyer@example.com",
+        buyerName: "Buyer",
+        items: [
+          {
+            ...line,
+            productId: "64b000000000000000000001",
+            itemName: "Tomato",
+            quantity: 2,
+          },
+          {
+            ...line,
+            productId: "64b000000000000000000002",
+            itemName: "Potato",
+            quantity: 1,
+          },
+        ],
+        subtotal: 30,
+        amount: 30,
+        currency: "usd",
+        source: "cart",
+        paymentIntentId: "pi_1",
+        commissionRate: 0.1,
+        status: "paid",
+        statusHistory: [{ status: "paid", at: now }],
+        version: 1,
+        createdAt: now,
+        paidAt: now,
+      });
+      orderId = insertedId;
+    });
+
+    test("refunds part of a line", async () => {
+      const requested = await requestRefund({
+        lines: [{ index: 0, quantity: 1 }],
+      });
+      assert.equal(requested.status, 201);
+      assert.equal(requested.body.amount, 10);
+
+      const res = await approve(requested.body._id);
+      assert.equal(res.status, 200);
+
+      assert.equal(refundCalls.length, 1);
+      assert.equal(refundCalls[0].params.payment_intent, "pi_1");
+      assert.equal(refundCalls[0].params.amount, 1000);
+      assert.equal(
+        refundCalls[0].options.idempotencyKey,
+        `refund-${requested.body._id}-1`
+      );
+
+      const refunded = await order();
+      assert.equal(refunded.status, "partially_refunded");
+      assert.equal(refunded.amountRefunded, 10);
+      assert.equal(refunded.items[0].refundedQuantity, 1);
+      assert.equal(refunded.refunds[0].stripeRefundId, "re_1");
+    });
+
+    test("refunds everything that is left", async () => {
+      const requested = await requestRefund();
+      assert.equal(requested.body.amount, 30);
+
+      assert.equal((await approve(requested.body._id)).status, 200);
+      assert.equal(refundCalls[0].params.amount, 3000);
+
+      const refunded = await order();
+      assert.equal(refunded.status, "refunded");
+      assert.equal(refunded.amountRefunded, 30);
+
+      // Nothing is left to ask for
+      assert.equal((await requestRefund()).status, 409);
+    });
+
+    test("rejects refunds of more than was bought", async () => {
+      const res = await requestRefund({ lines: [{ index: 0, quantity: 3 }] });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "Only 2 of line 0 can be refunded");
+
+      const unknown = await requestRefund({ lines: [{ index: 5 }] });
+      assert.equal(unknown.status, 400);
+      assert.equal(refundCalls.length, 0);
+    });
+
+    test("a Stripe failure leaves the order unchanged", async () => {
+      const requested = await requestRefund();
+      const paid = await order();
+
+      refundError = new Error("Charge already refunded");
+      const res = await approve(requested.body._id);
+      assert.equal(res.status, 502);
+      assert.deepEqual(await order(), paid);
+
+      const request = await db.collection("refundRequests").findOne({});
+      assert.equal(request.status, "failed");
+
+      // Approving again is a new attempt with its own idempotency key
+      refundError = null;
+      assert.equal((await approve(requested.body._id)).status, 200);
+      assert.equal(
+        refundCalls[1].options.idempotencyKey,
+        `refund-${requested.body._id}-2`
+      );
+    });
+  }
+);
@@ -0,0 +1,180 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const nodemailer = require("nodemailer");
+const { hasDatabase, startApp } = require("./helpers");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+let ctx;
+let refunds;
+
+before(async () => {
+  ctx = await startApp();
+  ctx.app.locals.mailTransport = nodemailer.createTransport({
+    jsonTransport: true,
+  });
+
+  // Real signature checks; refunds come from the test instead of Stripe
+  refunds = [];
+  ctx.app.locals.stripe = {
+    webhooks: stripe.webhooks,
+    refunds: { list: async () => ({ data: refunds }) },
+  };
+});
+
+after(() => ctx.stop());
+
+let eventCount = 0;
+
+// Deliver an event signed the way Stripe signs it
+const deliver = (type, object, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify({
+    id: `evt_${++eventCount}`,
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+  });
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret,
+  });
+  return ctx.request("POST", "/webhooks/stripe", {
+    body: JSON.parse(payload),
+    headers: { "Stripe-Signature": signature },
+  });
+};
+
+test("rejects events with a bad signature", async () => {
+  const res = await deliver(
+    "payment_intent.succeeded",
+    { id: "pi_forged" },
+    "whsec_other"
+  );
+  assert.equal(res.status, 400);
+});
+
+test("rejects events without a signature", async () => {
+  const res = await ctx.request("POST", "/webhooks/stripe", {
+    body: { type: "payment_intent.succeeded", data: { object: {} } },
+  });
+  assert.equal(res.status, 400);
+});
+
+describe(
+  "payment events",
+  { skip: !hasDatabase && "TEST_MONGODB_URI is not set" },
+  () => {
+    let orders;
+
+    const order = () => orders.findOne({ paymentIntentId: "pi_1" });
+
+    beforeEach(async () => {
+      const db = ctx.app.locals.client.db("usersDB");
+      orders = db.collection("payments");
+      for (const name of ["payments", "subOrders", "mailOutbox"]) {
+        await db.collection(name).deleteMany({});
+      }
+      refunds.length = 0;
+
+      const now = new Date();
+      await orders.insertOne({
+        buyerEmail: "buyer@example.com",
+        buyerName: "Buyer",
+        items: [
+          {
+            productId: "64b000000000000000000001",
+            quantity: 2,
+            price: 10,
+            itemName: "Tomato",
+            itemKey: "tomato",
+            vendorEmail: "a@vendor.test",
+            marketName: "Kawran Bazar",
+          },
+        ],
+        subtotal: 20,
+        amount: 20,
+        currency: "usd",
+        source: "direct",
+        paymentIntentId: "pi_1",
+        commissionRate: 0.1,
+        status: "pending",
+        statusHistory: [{ status: "pending", at: now }],
+        version: 1,
+        createdAt: now,
+      });
+    });
+
+    test("a succeeded payment marks the order paid once", async () => {
+      const res = await deliver("payment_intent.succeeded", { id: "pi_1" });
+      assert.equal(res.status, 200);
+
+      const paid = await order();
+      assert.equal(paid.status, "paid");
+      assert.ok(paid.paidAt);
+
+      const replayed = await deliver("payment_intent.succeeded", {
+        id: "pi_1",
+      });
+      assert.equal(replayed.status, 200);
+      assert.deepEqual(await order(), paid);
+    });
+
+    test("a failed payment marks the order failed", async () => {
+      await deliver("payment_intent.payment_failed", {
+        id: "pi_1",
+        last_payment_error: { message: "Your card was declined." },
+      });
+
+      const failed = await order();
+      assert.equal(failed.status, "failed");
+      assert.equal(failed.failureMessage, "Your card was declined.");
+    });
+
+    test("a canceled payment cancels the order once", async () => {
+      await deliver("payment_intent.canceled", { id: "pi_1" });
+      const cancelled = await order();
+      assert.equal(cancelled.status, "cancelled");
+
+      await deliver("payment_intent.canceled", { id: "pi_1" });
+      assert.deepEqual(await order(), cancelled);
+    });
+
+    test("charge.refunded records each refund once", async () => {
+      await deliver("payment_intent.succeeded", { id: "pi_1" });
+
+      const charge = { id: "ch_1", payment_intent: "pi_1", refunded: false };
+      refunds.push({
+        id: "re_1",
+        amount: 500,
+        status: "succeeded",
+        created: Math.floor(Date.now() / 1000),
+      });
+      assert.equal((await deliver("charge.refunded", charge)).status, 200);
+
+      const partial = await order();
+      assert.equal(partial.status, "partially_refunded");
+      assert.equal(partial.amountRefunded, 5);
+      assert.equal(partial.refunds.length, 1);
+
+      // The same event again changes nothing
+      await deliver("charge.refunded", charge);
+      assert.deepEqual(await order(), partial);
+
+      // The rest is refunded in the dashboard
+      refunds.push({
+        id: "re_2",
+        amount: 1500,
+        status: "succeeded",
+        created: Math.floor(Date.now() / 1000),
+      });
+      await deliver("charge.refunded", { ...charge, refunded: true });
+
+      const refunded = await order();
+      assert.equal(refunded.status, "refunded");
+      assert.equal(refunded.amountRefunded, 20);
+      assert.deepEqual(
+        refunded.refunds.map((refund) => refund.stripeRefundId),
+        ["re_1", "re_2"]
+      );
+    });
+  }
+);